@@ -0,0 +1,3335 @@
+/**
+ * Abyssal Dungeon - Game Core
+ *
+ * The game's state and rules with no rendering: floor setup, player movement and
+ * collision, combat, items, doors and traps, fog of war and the enemy / boss AI.
+ * index.html steps a GameCore and mirrors its state into the Three.js scene;
+ * test/headless-run.js steps one directly in Node. Loaded as a plain <script> after
+ * map-generator.js in the browser and with require() in Node, like the generator.
+ *
+ * Positions are world units on the ground plane (x, z), CELL_SIZE units per grid cell;
+ * angles follow Math.atan2(dx, dz). Times are simulated milliseconds (core.time), which
+ * only move when the host calls step(), so the host decides how fast the game runs.
+ */
+
+// In Node the generator comes from require(); in the browser map-generator.js defined it already
+const MapGen = typeof module !== 'undefined'
+    ? require('./map-generator')
+    : { IrregularMapGenerator, createRng, randomSeed, floorSeed };
+
+// The version on the title screen, stored in every replay: a replay recorded under another
+// version may play out differently once movement, combat, spawning or the AI have changed
+const GAME_VERSION = '2.3.2';
+
+const CELL_SIZE = 3;
+const DUNGEON_ATTEMPTS = 20;        // rerolls of a floor with too little open space before giving up
+
+// Fixed simulation tick (seconds) used by the browser loop and the headless runner alike.
+// Every speed below is per second.
+const SIM_STEP = 1 / 60;
+const PLAYER_SPEED = 6;             // units per second
+const MP_REGEN = 3;                 // MP per second
+const BOSS_TURN_SPEED = 3;          // radians per second, slow enough to leave backstab openings
+const BOSS_TELEPORT_CHANCE = 0.18;  // per second, in a phase that moves by teleport
+const BOSS_PHASE_PAUSE = 1500;      // ms the boss stands still, untouchable, as a new phase begins
+const BOSS_VOLLEY_SPREAD = 0.3;     // radians between the bolts of a volley
+const ARROW_SPEED = 21;             // units per second
+const TORCH_DURATION = 60000;       // 60 seconds
+
+const MEMORY_VIEW_RADIUS_DARK = 2;  // cells visible without torch
+const MEMORY_VIEW_RADIUS_LIT = 5;   // cells visible with torch
+const MEMORY_DECAY_RATE = 0.03;     // memory lost per second out of sight
+
+// Enemy perception and movement. Enemies idle or patrol near their post, grow suspicious of
+// what they glimpse or hear, chase a player they are sure of along paths around walls and
+// sealed doors, search where they lost them, and flee when badly hurt.
+const ENEMY_SIGHT_RANGE = {         // units an enemy can see the player from
+    dark: 7,
+    lit: 14                         // a lit torch shows you from twice as far
+};
+const ENEMY_VIEW_ANGLE = Math.PI * 0.4;  // half-width of an unalerted enemy's view (72°)
+const ENEMY_FEEL_RANGE = 2;         // units within which an enemy notices you facing any way
+const ENEMY_NOTICE_TIME = 1500;     // ms of watching at the edge of sight before a chase; less up close
+const ENEMY_SUSPICION_TIME = 4000;  // ms a suspicious enemy investigates before settling down
+const ENEMY_CHASE_MEMORY = 3000;    // ms a chase goes on without seeing or hearing the player
+const ENEMY_SEARCH_TIME = 6000;     // ms an enemy searches where it lost the player
+const ENEMY_SEARCH_RANGE = 2;       // cells around the last known spot a search covers
+const ENEMY_SEARCH_PAUSE = 600;     // ms a searching enemy looks around between spots
+const ENEMY_FLEE_DISTANCE = 10;     // units a fleeing enemy puts between itself and an unseen player
+const ENEMY_PATROL_RANGE = 4;       // cells from its post an idle enemy wanders
+const ENEMY_PATROL_SPEED = 0.5;     // share of its speed while wandering or investigating
+const ENEMY_IDLE_TIME = [2000, 5000];   // ms an idle enemy waits between walks
+const NAV_LOOKAHEAD = 4;            // path cells an enemy looks ahead to cut corners
+const NOISE_RANGE = {               // units a noise carries, through walls
+    attack: 9,
+    door: 12,
+    footsteps: 3
+};
+const NAV_FIELD_CACHE = 32;         // path fields kept per floor before the cache is flushed
+const NAV_NEIGHBORS = [[0, -1], [0, 1], [-1, 0], [1, 0]];
+
+const MOVE_KEYS = ['w', 'a', 's', 'd'];
+const MAX_PITCH = Math.PI / 3;      // how far the player can look up or down
+
+// Enemy type definitions. Colors, body, eyeSize, gear, bob and mapColor are for the
+// renderer; minDepth is the first depth a type appears on (pickEnemyType phases it in over
+// the next few depths). What an enemy does beyond walking up and hitting the player comes
+// from its behaviors, which the core runs for any type that lists them:
+//   splitOnDeath { count, spread, share }  dies into `count` smaller copies with `share` of its HP and attack
+//   phaseThroughWalls                      moves straight through walls; the player and arrows pass through it
+//   hovers                                 floats over floor traps without setting them off
+//   hopAttack { chance, cooldown, range, distance }  leaps at a player within range now and then
+//   extendedReach <units>                  strikes from farther than ENEMY_REACH
+//   fleeBelow <share>                      runs away below this share of its max HP
+//   leavesRemains                          its bones stay behind for raiseDead to raise, once
+//   standoff [near, far]                   keeps the player between near and far units away
+//   noMelee                                never strikes in melee
+//   rangedAttack { cooldown, arrowSpeed }  shoots arrows at a player it can see
+//   shield { arc, openTime }               blocks blows within ±arc of its facing, except openTime ms after it swings
+//   slowTurn <radians per second>          limits how fast it can turn
+//   selfDestruct { trigger, time, radius } lights a fuse within trigger units and explodes `time` ms later
+//   raiseDead { range, cooldown, castTime }  stands still to raise remains within range
+const ENEMY_TYPES = {
+    skeleton: {
+        name: 'Skeleton',
+        color: 0xccccaa, emissive: 0x222200,
+        eyeColor: 0xffff00,
+        size: { w: 0.6, h: 1.6, d: 0.4 },
+        mapColor: 0xccccaa,
+        hpMult: 1.0, atkMult: 1.0, speedMult: 1.0,
+        behaviors: { fleeBelow: 0.25, leavesRemains: true }
+    },
+    slime: {
+        name: 'Slime',
+        color: 0x44cc44, emissive: 0x003300,
+        eyeColor: 0x88ff88,
+        size: { w: 0.9, h: 0.7, d: 0.9 },
+        body: 'sphere', bob: 'hop',
+        mapColor: 0x44cc44,
+        hpMult: 0.7, atkMult: 0.6, speedMult: 0.7,
+        behaviors: {
+            splitOnDeath: { count: 2, spread: 0.8, share: 0.5 },
+            hopAttack: { chance: 0.6, cooldown: 3000, range: 6, distance: 2 }   // chance per second
+        }
+    },
+    wraith: {
+        name: 'Wraith',
+        color: 0x6666cc, emissive: 0x110033,
+        eyeColor: 0xcc66ff,
+        size: { w: 0.7, h: 1.8, d: 0.5 },
+        transparent: true,
+        mapColor: 0x9966cc,
+        hpMult: 0.8, atkMult: 1.3, speedMult: 1.4,
+        behaviors: { phaseThroughWalls: true, hovers: true, fleeBelow: 0.3 }
+    },
+    golem: {
+        name: 'Golem',
+        color: 0x888877, emissive: 0x111100,
+        eyeColor: 0xff8800,
+        size: { w: 1.1, h: 1.4, d: 1.1 },
+        eyeSize: 0.15,
+        mapColor: 0x888877,
+        hpMult: 2.0, atkMult: 1.5, speedMult: 0.5,
+        behaviors: { extendedReach: 2.5 }
+    },
+    archer: {
+        name: 'Skeleton Archer',
+        color: 0xb8b08a, emissive: 0x1a1400,
+        eyeColor: 0xff4422,
+        size: { w: 0.5, h: 1.6, d: 0.4 },
+        gear: ['bow'],
+        mapColor: 0xffaa44,
+        hpMult: 0.7, atkMult: 0.9, speedMult: 0.9,
+        minDepth: 2,
+        behaviors: {
+            fleeBelow: 0.25,
+            leavesRemains: true,
+            noMelee: true,
+            standoff: [4, 9],
+            rangedAttack: { cooldown: 2200, arrowSpeed: 9 }
+        }
+    },
+    shieldbearer: {
+        name: 'Shieldbearer',
+        color: 0x6a7686, emissive: 0x0c1420,
+        eyeColor: 0x44ccff,
+        size: { w: 0.9, h: 1.7, d: 0.6 },
+        gear: ['shield'],
+        mapColor: 0x66aaff,
+        hpMult: 1.4, atkMult: 1.1, speedMult: 0.7,
+        minDepth: 3,
+        behaviors: {
+            shield: { arc: Math.PI / 3, openTime: 400 },
+            slowTurn: 1.5                   // slow enough to get around
+        }
+    },
+    bomber: {
+        name: 'Bomber',
+        color: 0x8a4a22, emissive: 0x331000,
+        eyeColor: 0xffcc00,
+        size: { w: 0.8, h: 0.9, d: 0.8 },
+        body: 'sphere', gear: ['fuse'],
+        mapColor: 0xff5500,
+        hpMult: 0.5, atkMult: 2.5, speedMult: 1.6,
+        minDepth: 3,
+        behaviors: {
+            noMelee: true,
+            selfDestruct: { trigger: 1.8, time: 1500, radius: 3 }   // the blast hits everything in radius
+        }
+    },
+    necromancer: {
+        name: 'Necromancer',
+        color: 0x3a2250, emissive: 0x1a0030,
+        eyeColor: 0x66ff66,
+        size: { w: 0.8, h: 1.7, d: 0.8 },
+        body: 'cone', gear: ['staff'],
+        mapColor: 0xaa44ff,
+        hpMult: 0.9, atkMult: 0.6, speedMult: 0.8,
+        minDepth: 4,
+        behaviors: {
+            fleeBelow: 0.3,
+            standoff: [6, 10],
+            raiseDead: { range: 10, cooldown: 7000, castTime: 1500 }
+        }
+    }
+};
+const ENEMY_PHASE_IN = 3;           // depths over which a new enemy type reaches its full weight
+const ENEMY_REACH = 1.5;            // units an enemy strikes from, unless it has extendedReach
+
+function enemyBehaviors(enemy) {
+    return (ENEMY_TYPES[enemy.type] || ENEMY_TYPES.skeleton).behaviors;
+}
+
+// Boss type definitions. Colors and name are for the renderer. A boss fights in phases: each
+// begins once its HP falls to `below` of max (the first at 1). Fields a phase leaves out carry
+// over from the phase before it, starting from BOSS_PHASE_DEFAULTS, except summon and message,
+// which only happen as their own phase begins:
+//   special 'slam' | 'bolt' | 'volley' | 'charge'  the attack it winds up every few blows
+//   telegraphTime <ms>                     how long the wind-up lasts
+//   specialEvery <n>                       normal attacks between specials
+//   movement 'chase' | 'teleport'          teleport also blinks to a random floor cell now and then
+//   speed, atk                             multipliers on the type's speedMult and attack
+//   enraged                                shown as enraged (getState)
+//   summon { type, count }                 enemies it calls in as the phase begins
+//   message                                shown as the phase begins
+const BOSS_PHASE_DEFAULTS = {
+    special: 'slam', telegraphTime: 2000, specialEvery: 3,
+    movement: 'chase', speed: 1.0, atk: 1.0, enraged: false
+};
+const BOSS_TYPES = {
+    guardian: {
+        name: 'GUARDIAN',
+        color: 0x660066, emissive: 0x220022,
+        eyeColor: 0xff00ff,
+        hpMult: 1.0, atkMult: 1.0, speedMult: 1.0,
+        phases: [
+            { below: 1.0, special: 'slam', telegraphTime: 2000 },
+            { below: 0.6, specialEvery: 2, summon: { type: 'skeleton', count: 2 }, message: "The Guardian calls its sentries!" },
+            { below: 0.25, telegraphTime: 1300, speed: 1.3, atk: 1.25, message: "The Guardian's armor cracks!" }
+        ]
+    },
+    sorcerer: {
+        name: 'SORCERER',
+        color: 0x2222aa, emissive: 0x000044,
+        eyeColor: 0x00ccff,
+        hpMult: 0.8, atkMult: 1.3, speedMult: 0.8,
+        phases: [
+            { below: 1.0, special: 'bolt', telegraphTime: 1500 },
+            { below: 0.5, movement: 'teleport', summon: { type: 'wraith', count: 1 }, message: "The Sorcerer slips between shadows!" },
+            { below: 0.2, special: 'volley', telegraphTime: 1200, specialEvery: 2, message: "The Sorcerer unleashes a storm!" }
+        ]
+    },
+    berserker: {
+        name: 'BERSERKER',
+        color: 0xaa2222, emissive: 0x440000,
+        eyeColor: 0xff4400,
+        hpMult: 1.2, atkMult: 0.8, speedMult: 1.2,
+        phases: [
+            { below: 1.0, special: 'charge', telegraphTime: 1800 },
+            { below: 0.3, enraged: true, atk: 2.0, speed: 1.5, telegraphTime: 1400, message: "BOSS ENRAGED!" }
+        ]
+    }
+};
+
+// A boss's current phase, with what it leaves out carried over from the phases before it
+function bossPhase(boss) {
+    const { phases } = BOSS_TYPES[boss.type] || BOSS_TYPES.guardian;
+    return Object.assign({}, BOSS_PHASE_DEFAULTS, ...phases.slice(0, boss.phase));
+}
+
+// Moves the boss into a phase and sets the attack, speed and wind-up time it fights with
+function setBossPhase(boss, number) {
+    const def = BOSS_TYPES[boss.type] || BOSS_TYPES.guardian;
+    boss.phase = number;
+    const phase = bossPhase(boss);
+    boss.atk = Math.round(boss.baseAtk * phase.atk);
+    boss.speedMult = def.speedMult * phase.speed;
+    boss.telegraphTime = phase.telegraphTime;
+    boss.enraged = phase.enraged;
+    return phase;
+}
+
+// Room theme definitions (tagged onto generated rooms; unique themes appear once per depth)
+const ROOM_THEMES = {
+    vault: {
+        name: 'Treasure Vault',
+        wallColor: 0x6b5a22, emissive: 0x1a1200,
+        lightColor: 0xffcc44, lightIntensity: 0.9,
+        weight: 0.8, minDepth: 1, unique: true
+    },
+    den: {
+        name: 'Monster Den',
+        wallColor: 0x4a2626, emissive: 0x110000,
+        lightColor: 0xff3311, lightIntensity: 0.6,
+        weight: 1.0, minDepth: 1
+    },
+    library: {
+        name: 'Library',
+        wallColor: 0x4a3a2a, emissive: 0x0a0600,
+        lightColor: 0xffeebb, lightIntensity: 0.7,
+        weight: 0.7, minDepth: 1, unique: true
+    },
+    shrine: {
+        name: 'Shrine Chamber',
+        wallColor: 0x505070, emissive: 0x080818,
+        lightColor: 0x99bbff, lightIntensity: 0.8,
+        weight: 0.6, minDepth: 1, unique: true
+    },
+    trapGallery: {
+        name: 'Trap Gallery',
+        wallColor: 0x2f3a2f, emissive: 0x001100,
+        lightColor: 0x66ff66, lightIntensity: 0.5,
+        weight: 0.7, minDepth: 2, unique: true
+    }
+};
+
+// Depth biomes - every BIOME_BAND depths the dungeon changes character, cycling back to
+// the crypt after the forge. wall / floor / ceiling are material settings; fog.density
+// pulls the fog in (above 1) or pushes it out; shapes are the layouts generated more often.
+const BIOME_BAND = 2;
+const BIOMES = {
+    crypt: {
+        name: 'Crypt', hudColor: '#b8b8d0',
+        wall: { color: 0x4a4a52, roughness: 0.8 },
+        floor: { color: 0x222226, roughness: 0.9 },
+        ceiling: { color: 0x1a1a1e },
+        fog: { color: 0x0a0a0c, density: 1.0 },
+        ambient: 0x111111,
+        enemyWeights: { skeleton: 1.0, slime: 0.8, wraith: 0.3, golem: 0.05, archer: 0.6, shieldbearer: 0.3, bomber: 0.1, necromancer: 0.4 },
+        shapes: ['cross', 'chambers', 'L']
+    },
+    flooded: {
+        name: 'Flooded Caverns', hudColor: '#66bbdd',
+        wall: { color: 0x2f4a55, roughness: 0.6 },
+        floor: { color: 0x16303c, roughness: 0.2, metalness: 0.3 },
+        ceiling: { color: 0x142228 },
+        fog: { color: 0x081820, density: 1.3 },
+        ambient: 0x0c1a22,
+        enemyWeights: { skeleton: 0.5, slime: 1.2, wraith: 0.7, golem: 0.2, archer: 0.3, shieldbearer: 0.3, bomber: 0.3, necromancer: 0.2 },
+        shapes: ['caves', 'archipelago', 'donut']
+    },
+    fungal: {
+        name: 'Fungal Grotto', hudColor: '#99dd55',
+        wall: { color: 0x3d4a2a, emissive: 0x0a1400, roughness: 0.9 },
+        floor: { color: 0x26301a, roughness: 1.0 },
+        ceiling: { color: 0x1c2414, emissive: 0x060c00 },
+        fog: { color: 0x0e1808, density: 1.15 },
+        ambient: 0x16240c,
+        enemyWeights: { skeleton: 0.5, slime: 1.0, wraith: 0.4, golem: 0.5, archer: 0.3, shieldbearer: 0.3, bomber: 0.6, necromancer: 0.3 },
+        shapes: ['blob', 'caves', 'spiral']
+    },
+    forge: {
+        name: 'Molten Forge', hudColor: '#ff8844',
+        wall: { color: 0x4a2a22, emissive: 0x1a0400, roughness: 0.7 },
+        floor: { color: 0x2a1610, emissive: 0x120300, roughness: 0.8 },
+        ceiling: { color: 0x1e100a },
+        fog: { color: 0x1a0805, density: 0.9 },
+        ambient: 0x221008,
+        enemyWeights: { skeleton: 0.8, slime: 0.2, wraith: 0.6, golem: 1.0, archer: 0.5, shieldbearer: 0.7, bomber: 0.8, necromancer: 0.3 },
+        shapes: ['cathedral', 'chambers', 'L']
+    }
+};
+
+function biomeForDepth(depth) {
+    const ids = Object.keys(BIOMES);
+    return ids[Math.floor((depth - 1) / BIOME_BAND) % ids.length];
+}
+
+// Turn from one angle toward another by at most maxTurn radians, the short way round
+function turnToward(from, to, maxTurn) {
+    let diff = to - from;
+    while (diff > Math.PI) diff -= Math.PI * 2;
+    while (diff < -Math.PI) diff += Math.PI * 2;
+    return from + Math.max(-maxTurn, Math.min(maxTurn, diff));
+}
+
+// Readable lore for library rooms
+const LORE_TEXTS = [
+    'The first delvers sealed the lower depths. They did not say what they sealed in.',
+    'Each guardian was once a warden of this place. The key binds them still.',
+    'Torches burn short down here. The dark remembers what the light forgets.',
+    'The slimes were a cure once. Cut one and it becomes two; that is the trouble with cures.',
+    'Wraiths walk the old corridors, not the new walls. Follow them and you find forgotten doors.',
+    'The golems were built to carry stone. No one told them to stop.',
+    'A shrine gives what it is asked for, once. Ask before the fight, not after.',
+    'The stairs appear only when a warden falls. The dungeon does not let go of its own.'
+];
+
+// Default pacing of generated floors, in walking steps over the grid (doors count as open).
+// Each GameCore keeps its own copy in core.placement.
+const PLACEMENT = {
+    keyMinDetour: 6,                  // extra steps the boss key adds to the walk to the boss
+    shrineMinSteps: 8,                // from both the player spawn and the boss
+    torchSteps: { min: 4, max: 12 }   // from the player spawn
+};
+
+// Placement settings with `options` merged in, torchSteps field by field, so
+// { torchSteps: { min: 2 } } keeps the current max. Throws one Error listing every problem
+// (unknown settings, values that are not non-negative numbers, min above max).
+function mergePlacement(current, options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        throw new Error('Invalid placement: settings must be an object');
+    }
+    const errors = [];
+    for (const key of Object.keys(options)) {
+        if (!(key in PLACEMENT)) errors.push(`unknown setting "${key}"`);
+    }
+    const torchSteps = options.torchSteps === undefined ? {} : options.torchSteps;
+    if (!torchSteps || typeof torchSteps !== 'object' || Array.isArray(torchSteps)) {
+        errors.push('torchSteps must be an object');
+    } else {
+        for (const key of Object.keys(torchSteps)) {
+            if (!(key in PLACEMENT.torchSteps)) errors.push(`unknown setting "torchSteps.${key}"`);
+        }
+    }
+    if (errors.length > 0) throw new Error(`Invalid placement:\n- ${errors.join('\n- ')}`);
+
+    const merged = { ...current, ...options, torchSteps: { ...current.torchSteps, ...torchSteps } };
+    const isCount = v => Number.isFinite(v) && v >= 0;
+    const show = v => typeof v === 'number' ? String(v) : JSON.stringify(v);
+    for (const key of ['keyMinDetour', 'shrineMinSteps']) {
+        if (!isCount(merged[key])) errors.push(`${key} must be a non-negative number (got ${show(merged[key])})`);
+    }
+    for (const key of ['min', 'max']) {
+        const value = merged.torchSteps[key];
+        if (!isCount(value)) errors.push(`torchSteps.${key} must be a non-negative number (got ${show(value)})`);
+    }
+    if (errors.length === 0 && merged.torchSteps.min > merged.torchSteps.max) {
+        errors.push(`torchSteps.min (${merged.torchSteps.min}) must not be above torchSteps.max (${merged.torchSteps.max})`);
+    }
+    if (errors.length > 0) throw new Error(`Invalid placement:\n- ${errors.join('\n- ')}`);
+    return merged;
+}
+
+// Hand-authored levels. A level file describes one floor; a level pack lists floors in
+// depth order, where "generated" (or { "generate": true, "shape": "donut" }) asks for a
+// random one. Cells use the generator's encoding and every position is a grid cell:
+// {
+//   "version": 1, "name": "Tutorial", "boss": "guardian",
+//   "grid": [[-1, 1, 1, ...], ...],
+//   "rooms": [{ "x": 4, "z": 4, "w": 7, "h": 6, "theme": "library" }],   // outer rectangle, walls included
+//   "spawns": {
+//     "player": { "x": 6, "z": 6 }, "boss": { ... }, "key": { ... }, "shrine": { ... },
+//     "torches": [{ "x": 7, "z": 6 }],
+//     "items": [{ "x": 8, "z": 6, "type": "potion" }],
+//     "enemies": [{ "x": 9, "z": 6, "type": "slime" }]
+//   }
+// }
+const LEVEL_FORMAT_VERSION = 1;
+const LEVEL_ITEM_TYPES = ['potion', 'mpPotion', 'shield', 'charm', 'torch'];
+
+// Lists every problem with a level; empty when the level is playable
+function validateLevel(level) {
+    if (!level || typeof level !== 'object' || Array.isArray(level)) return ['level must be a JSON object'];
+    const errors = [];
+    if (level.version !== LEVEL_FORMAT_VERSION) {
+        errors.push(`version must be ${LEVEL_FORMAT_VERSION} (got ${JSON.stringify(level.version)})`);
+    }
+
+    const grid = level.grid;
+    if (!Array.isArray(grid) || grid.length < 8 || grid.length > 64) {
+        return [...errors, 'grid must be an array of 8 to 64 rows'];
+    }
+    const size = grid.length;
+    grid.forEach((row, z) => {
+        if (!Array.isArray(row) || row.length !== size) {
+            errors.push(`grid row ${z} must have ${size} cells (the grid is square)`);
+            return;
+        }
+        row.forEach((cell, x) => {
+            if (![-1, 0, 1, 2].includes(cell)) {
+                errors.push(`grid cell (${x},${z}) is ${JSON.stringify(cell)}; use -1 void, 0 floor, 1 wall, 2 door`);
+            } else if ((cell === 0 || cell === 2) && (x === 0 || z === 0 || x === size - 1 || z === size - 1)) {
+                errors.push(`grid cell (${x},${z}) is walkable on the edge of the map`);
+            }
+        });
+    });
+    // The checks below need a well-formed grid
+    if (errors.length > 0) return errors;
+
+    const checker = new MapGen.IrregularMapGenerator(size);
+    for (const { x, z } of checker.invalidDoors(grid)) {
+        errors.push(`door (${x},${z}) needs walls on two opposite sides`);
+    }
+    if (!checker.isFullyConnected(grid)) {
+        errors.push('walkable cells are not all connected');
+    }
+
+    if (level.rooms !== undefined && !Array.isArray(level.rooms)) errors.push('rooms must be an array');
+    (Array.isArray(level.rooms) ? level.rooms : []).forEach((room, i) => {
+        const { x, z, w, h } = room || {};
+        if (![x, z, w, h].every(Number.isInteger) || w < 3 || h < 3 || x < 0 || z < 0 || x + w > size || z + h > size) {
+            errors.push(`rooms[${i}] must be an integer rectangle of at least 3x3 inside the grid`);
+        }
+        if (room && room.theme !== undefined && !ROOM_THEMES[room.theme]) {
+            errors.push(`rooms[${i}].theme "${room.theme}" is not one of: ${Object.keys(ROOM_THEMES).join(', ')}`);
+        }
+    });
+
+    if (level.boss !== undefined && !BOSS_TYPES[level.boss]) {
+        errors.push(`boss "${level.boss}" is not one of: ${Object.keys(BOSS_TYPES).join(', ')}`);
+    }
+
+    const spawns = level.spawns;
+    if (!spawns || typeof spawns !== 'object') return [...errors, 'spawns must be an object'];
+    const checkCell = (pos, label) => {
+        if (!pos || !Number.isInteger(pos.x) || !Number.isInteger(pos.z)) errors.push(`${label} needs integer x and z`);
+        else if (grid[pos.z]?.[pos.x] !== 0) errors.push(`${label} (${pos.x},${pos.z}) is not on a floor cell`);
+    };
+    for (const name of ['player', 'boss', 'key']) {
+        if (!spawns[name]) errors.push(`spawns.${name} is required`);
+        else checkCell(spawns[name], `spawns.${name}`);
+    }
+    if (spawns.shrine) checkCell(spawns.shrine, 'spawns.shrine');
+    for (const list of ['torches', 'items', 'enemies']) {
+        if (spawns[list] === undefined) continue;
+        if (!Array.isArray(spawns[list])) {
+            errors.push(`spawns.${list} must be an array`);
+            continue;
+        }
+        spawns[list].forEach((pos, i) => {
+            checkCell(pos, `spawns.${list}[${i}]`);
+            if (list === 'items' && !LEVEL_ITEM_TYPES.includes(pos?.type)) {
+                errors.push(`spawns.items[${i}].type must be one of: ${LEVEL_ITEM_TYPES.join(', ')}`);
+            }
+            if (list === 'enemies' && !ENEMY_TYPES[pos?.type]) {
+                errors.push(`spawns.enemies[${i}].type must be one of: ${Object.keys(ENEMY_TYPES).join(', ')}`);
+            }
+        });
+    }
+    return errors;
+}
+
+// Accepts a level or a level pack, as an object or JSON text. Throws one Error listing
+// every problem found; otherwise returns { name, floors } ready for core.levelPack.
+function parseLevelPack(data) {
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (e) {
+            throw new Error(`Level file is not valid JSON: ${e.message}`);
+        }
+    }
+    const isPack = data && typeof data === 'object' && Array.isArray(data.floors);
+    const name = (data && data.name) || 'Untitled';
+    const floors = isPack ? data.floors : [data];
+    const errors = [];
+    if (floors.length === 0) errors.push('floors must list at least one floor');
+
+    const parsed = floors.map((floor, i) => {
+        const where = isPack ? `floors[${i}]: ` : '';
+        if (floor === 'generated' || (floor && floor.generate === true)) {
+            const shape = (floor && floor.shape) || null;
+            if (shape && !MapGen.IrregularMapGenerator.shapes[shape]) {
+                errors.push(`${where}unknown shape "${shape}"`);
+            }
+            return { generate: true, shape };
+        }
+        errors.push(...validateLevel(floor).map(e => where + e));
+        return floor;
+    });
+    if (errors.length > 0) {
+        throw new Error(`Invalid level "${name}":\n- ${errors.join('\n- ')}`);
+    }
+    return { name, floors: parsed };
+}
+
+// Floor data for an authored level, shaped like IrregularMapGenerator.generate()'s result
+function levelToDungeon(level) {
+    const map = level.grid.map(row => [...row]);
+    const rooms = (level.rooms || []).map(r => {
+        const doors = [];
+        for (let z = r.z; z < r.z + r.h; z++)
+            for (let x = r.x; x < r.x + r.w; x++) {
+                const onEdge = x === r.x || z === r.z || x === r.x + r.w - 1 || z === r.z + r.h - 1;
+                if (onEdge && map[z][x] === 2) doors.push({ x, z });
+            }
+        return {
+            outer: { x: r.x, z: r.z, w: r.w, h: r.h },
+            interior: { x: r.x + 1, z: r.z + 1, w: r.w - 2, h: r.h - 2 },
+            doors,
+            theme: r.theme || null
+        };
+    });
+    return { map, rooms, secrets: [], traps: [], shape: 'authored', size: map.length };
+}
+
+// One game: the run's stats, the current floor and everything on it. Entities are plain
+// objects the host may read but should not change. Things only a screen can show are
+// reported through onEvent({ type, ... }):
+//   message { text, duration }   damage { target: 'player' | enemy | boss, amount, heal }
+//   hit { target }   attack   backstab   dodge   combo   stats (HUD values changed)
+//   floor (a new floor is ready)   descend (the stairs led to a new floor)   gameOver
+//   door { door } (opened)   pickup { item }   shrine   projectile { kind: 'arrow' | 'bolt', x, z }
+//   kill { target: enemy | boss }   block { target } (a shield stopped the blow)
+//   fuse { target } (a selfDestruct fuse lit)   explosion { x, z, radius }   raise { target } (risen remains)
+//   bossPhase { target: boss, phase } (a new phase begins; see BOSS_TYPES)
+class GameCore {
+    constructor(options = {}) {
+        this.rng = MapGen.createRng(MapGen.randomSeed());
+        this.maxMapSize = options.maxMapSize || 36;
+        this.mapGenerator = new MapGen.IrregularMapGenerator(this.maxMapSize, () => this.rng());
+        this.onEvent = options.onEvent || (() => {});
+        this.placement = JSON.parse(JSON.stringify(PLACEMENT));
+        this.levelPack = null;   // { name, floors } - depth N plays floors[N - 1], generated past the end
+        this.cellSize = CELL_SIZE;
+        this.time = 0;           // simulated ms since start()
+        this.tick = 0;           // steps since start()
+        this.replay = null;      // inputs of the current run, see getReplay()
+        this.heldKeys = '';      // movement keys held at the last step, as recorded
+        this.inventoryOpen = false;   // the player stands still while it is open, see setInventoryOpen()
+        this.game = {
+            seed: 0,
+            floor: 1,
+            hp: 100,
+            maxHp: 100,
+            mp: 50,
+            maxMp: 50,
+            atk: 10,
+            items: [],
+            hasBossKey: false,
+            doorKeys: [],   // colors of the door keys carried on this floor
+            totalKills: 0,
+            isPlaying: false,
+            bossActive: false,
+            comboCount: 0,
+            lastHitTime: -Infinity,
+            shrineUsed: false,
+            shrineBuff: false,
+            shieldBuff: false,
+            shieldBuffTime: 0,
+            poisonEndTime: 0,
+            lastPoisonTick: -Infinity,
+            distances: {},  // walking steps from the floor's player spawn, see placementDistances()
+            biome: 'crypt'  // BIOMES key for the current depth
+        };
+        this.player = { x: 1.5, z: 1.5, angle: 0, pitch: 0 };
+        this.torchActive = false;
+        this.torchEndTime = 0;
+        this.descendAt = null;   // time the stairs take the player down, once used
+        this.floorEntry = null;  // snapshotRun() as the current floor began, what createSave() writes
+        this.clearFloor();
+    }
+
+    clearFloor() {
+        this.map = [];
+        this.mapSize = 15;
+        this.rooms = [];         // Room data from the generator (room.theme set by assignRoomThemes)
+        this.enemies = [];
+        this.items = [];
+        this.boss = null;
+        this.stairs = null;
+        this.shrine = null;
+        this.bossProjectiles = [];
+        this.mapMemory = [];     // 2D array: memory strength per cell (0.0 = unknown, 1.0 = fresh)
+        this.mapRevealed = [];   // 2D array: true if cell is revealed (not behind closed door)
+        this.memoryView = null;  // last fog-of-war flood fill, reused while the view is unchanged
+        this.navFields = new Map();  // target cell -> walking distances to it, see navField()
+        this.navKey = '';        // sealed doors the cached fields were built for
+        this.doors = [];         // kind 'normal' | 'locked' | 'portcullis' | 'oneWay'
+        this.levers = [];        // Wall levers, each raising one portcullis
+        this.loreBooks = [];     // Readable books in library rooms
+        this.traps = [];         // Floor traps: spikes, poison vents, pressure plates, pits
+        this.arrows = [];        // Arrows in flight from pressure plate launchers and archers
+        this.remains = [];       // Where undead fell, for a necromancer to raise { x, z, type }
+        this.secretWalls = [];   // Hidden passages: kind 'breakable' | 'illusory', found once opened
+    }
+
+    emit(type, detail = {}) {
+        this.onEvent({ type, ...detail });
+    }
+
+    message(text, duration = 2000) {
+        this.emit('message', { text, duration });
+    }
+
+    // New run from depth (default 1); seed defaults to a random one. With a save (see
+    // parseSave) the run goes on from it instead; continueRun() sets up the rest.
+    start(seed = null, depth = 1, save = null) {
+        const { game } = this;
+        game.seed = seed ?? MapGen.randomSeed();
+        game.floor = Math.max(1, depth || 1);
+        game.hp = 100;
+        game.maxHp = 100;
+        game.mp = 50;
+        game.maxMp = 50;
+        game.atk = 10;
+        game.items = ['torch'];
+        game.hasBossKey = false;
+        game.doorKeys = [];
+        game.poisonEndTime = 0;
+        game.totalKills = 0;
+        game.isPlaying = true;
+        game.bossActive = false;
+        game.comboCount = 0;
+        game.lastHitTime = -Infinity;
+        game.shrineUsed = false;
+        game.shrineBuff = false;
+        game.shieldBuff = false;
+        game.shieldBuffTime = 0;
+        this.torchActive = false;
+        this.torchEndTime = 0;
+        this.descendAt = null;
+        this.inventoryOpen = false;
+        this.player.pitch = 0;
+        this.time = 0;
+        this.tick = 0;
+        this.heldKeys = '';
+        this.replay = {
+            format: REPLAY_FORMAT,
+            version: REPLAY_FORMAT_VERSION,
+            gameVersion: GAME_VERSION,
+            seed: game.seed,
+            depth: game.floor,
+            maxMapSize: this.maxMapSize,
+            placement: JSON.parse(JSON.stringify(this.placement)),
+            level: this.levelPack,
+            save,
+            events: []
+        };
+        if (save) this.applySave(save);
+        this.generateDungeon();
+        if (save) this.restoreFog(save.fog);
+    }
+
+    // Pick up a saved run: the same stats, inventory and buffs on the saved floor, rebuilt
+    // from its seed with the explored part of the map remembered
+    continueRun(save) {
+        this.levelPack = save.level || null;
+        this.setMaxMapSize(save.maxMapSize);
+        this.start(save.seed, save.floor, save);
+    }
+
+    setMaxMapSize(size) {
+        if (size === this.maxMapSize) return;
+        this.maxMapSize = size;
+        this.mapGenerator = new MapGen.IrregularMapGenerator(size, () => this.rng());
+    }
+
+    // The run as a save file, or null once it is over. A save holds the run as it entered the
+    // floor (floorEntry), so a continued floor is rebuilt with the stats, items and buffs it began
+    // with and nothing taken from it comes back twice; only the explored fog is current. Saved on
+    // the stairs, it is the next floor's entry and the fog is left out.
+    createSave() {
+        if (!this.game.isPlaying) return null;
+        const onStairs = this.descendAt !== null;
+        return {
+            ...(onStairs ? this.snapshotRun() : this.floorEntry),
+            savedAt: new Date().toISOString(),
+            fog: onStairs ? null : {
+                memory: this.mapMemory.map(row => row.map(v => Math.round(v * 100) / 100)),
+                revealed: this.mapRevealed.map(row => row.map(v => v ? '1' : '0').join(''))
+            }
+        };
+    }
+
+    // The run as it stands, in save form without savedAt and fog (createSave adds those)
+    snapshotRun() {
+        const { game } = this;
+        const left = endTime => Math.max(0, Math.round(endTime - this.time));
+        return {
+            format: SAVE_FORMAT,
+            version: SAVE_FORMAT_VERSION,
+            gameVersion: GAME_VERSION,
+            seed: game.seed,
+            floor: game.floor,
+            floorSeed: MapGen.floorSeed(game.seed, game.floor),
+            maxMapSize: this.maxMapSize,
+            level: this.levelPack,
+            stats: { hp: game.hp, maxHp: game.maxHp, mp: game.mp, maxMp: game.maxMp, atk: game.atk, kills: game.totalKills },
+            items: [...game.items],
+            buffs: {
+                shieldLeft: game.shieldBuff ? left(game.shieldBuffTime) : 0,
+                poisonLeft: left(game.poisonEndTime),
+                torchLeft: this.torchActive ? left(this.torchEndTime) : 0
+            }
+        };
+    }
+
+    // Stats, inventory and buffs from a save, on a run start() has just reset (time is 0)
+    applySave(save) {
+        const { game } = this;
+        const { stats, buffs } = save;
+        game.hp = stats.hp;
+        game.maxHp = stats.maxHp;
+        game.mp = stats.mp;
+        game.maxMp = stats.maxMp;
+        game.atk = stats.atk;
+        game.totalKills = stats.kills;
+        game.items = [...save.items];
+        game.shieldBuff = buffs.shieldLeft > 0;
+        game.shieldBuffTime = buffs.shieldLeft;
+        game.poisonEndTime = buffs.poisonLeft;
+        this.torchActive = buffs.torchLeft > 0;
+        this.torchEndTime = buffs.torchLeft;
+    }
+
+    // Explored map from a save; skipped if the floor came out a different size (generator changes)
+    restoreFog(fog) {
+        if (!fog || fog.memory.length !== this.mapSize || fog.revealed.length !== this.mapSize) return;
+        this.mapMemory = fog.memory.map(row => [...row]);
+        this.mapRevealed = fog.revealed.map(row => [...row].map(c => c === '1'));
+        this.memoryView = null;
+        this.emit('stats');
+    }
+
+    // Note an input for the replay, stamped with the tick it takes effect before
+    record(type, detail = {}) {
+        if (this.replay) this.replay.events.push({ t: this.tick, type, ...detail });
+    }
+
+    // One fixed tick of game logic; keys holds the movement keys down this tick ({ w, a, s, d })
+    step(dt = SIM_STEP, keys = {}) {
+        const held = MOVE_KEYS.filter(k => keys[k]).join('');
+        if (held !== this.heldKeys) {
+            this.heldKeys = held;
+            this.record('keys', { keys: held });
+        }
+        this.tick++;
+        this.time += dt * 1000;
+        if (this.descendAt !== null && this.time >= this.descendAt) {
+            this.descendAt = null;
+            this.generateDungeon();
+            this.emit('descend');
+        }
+        if (!this.game.isPlaying) return;
+        this.updateTorch();
+        this.updatePlayer(dt, keys);
+        this.updateTraps(dt);
+        this.updateEnemies(dt);
+    }
+
+    // attempt: rerolls of a floor with too little open space; each reroll seeds differently
+    generateDungeon(attempt = 0) {
+        const { game } = this;
+        this.floorEntry = this.snapshotRun();
+        this.clearFloor();
+        game.shrineUsed = false;
+        game.shrineBuff = false;
+
+        // Load the authored floor for this depth, or generate an irregular dungeon
+        // (reseed so this depth is reproducible from the run seed alone)
+        this.rng = MapGen.createRng((MapGen.floorSeed(game.seed, game.floor) ^ attempt) >>> 0);
+        const packFloor = this.levelPack ? this.levelPack.floors[game.floor - 1] : null;
+        const level = packFloor && !packFloor.generate ? packFloor : null;
+        const previousBiome = game.biome;
+        game.biome = biomeForDepth(game.floor);
+        const biome = BIOMES[game.biome];
+        const dungeonResult = level ? levelToDungeon(level) : this.mapGenerator.generate(game.floor, packFloor ? packFloor.shape : null, biome.shapes);
+        const map = this.map = dungeonResult.map;
+        const mapSize = this.mapSize = map.length;
+        const cellSize = this.cellSize;
+        this.rooms = dungeonResult.rooms;
+        if (!level) this.assignRoomThemes(this.rooms);
+        const hiddenCells = this.mapGenerator.hiddenCells(dungeonResult.secrets);
+        // Secret walls share the neighbouring look until they are opened
+        this.secretWalls = dungeonResult.secrets.map(secret => ({ ...secret, hits: 0, found: false, open: false }));
+
+        // Initialize fog of war memory and visibility (behind closed doors)
+        this.mapMemory = Array(mapSize).fill(null).map(() => Array(mapSize).fill(0));
+        this.mapRevealed = Array(mapSize).fill(null).map(() => Array(mapSize).fill(false));
+
+        if (game.floor > 1 && game.biome !== previousBiome) this.message(`You enter the ${biome.name}`, 3000);
+
+        if (level) {
+            this.spawnAuthoredLevel(level);
+            game.hasBossKey = false;
+            game.doorKeys = [];
+            this.emit('floor');
+            this.emit('stats');
+            return;
+        }
+
+        // Find spawn positions (only floor tiles, not doors or secret rooms)
+        const openSpaces = [];
+        for (let z = 1; z < mapSize - 1; z++) {
+            for (let x = 1; x < mapSize - 1; x++) {
+                if (map[z][x] === 0 && !hiddenCells.has(`${x},${z}`)) {
+                    openSpaces.push({ x, z });
+                }
+            }
+        }
+
+        // Floor traps claim their cells before anything else spawns
+        for (const trap of dungeonResult.traps) {
+            this.spawnTrap(trap.x, trap.z, trap);
+            const idx = openSpaces.findIndex(p => p.x === trap.x && p.z === trap.z);
+            if (idx !== -1) openSpaces.splice(idx, 1);
+        }
+
+        // Shuffle open spaces
+        this.shuffleArray(openSpaces);
+
+        if (openSpaces.length < 10) {
+            if (attempt + 1 >= DUNGEON_ATTEMPTS) {
+                throw new Error(`Could not generate depth ${game.floor} (seed ${game.seed}): ` +
+                    `fewer than 10 open spaces after ${DUNGEON_ATTEMPTS} attempts`);
+            }
+            console.error("Not enough open spaces, regenerating...");
+            this.generateDungeon(attempt + 1);
+            return;
+        }
+
+        const world = pos => ({ x: pos.x * cellSize + cellSize / 2, z: pos.z * cellSize + cellSize / 2 });
+
+        // Player spawn (never inside a themed room)
+        const spawnIdx = openSpaces.findIndex(pos => !this.roomAt(pos.x, pos.z)?.theme);
+        const playerSpawn = openSpaces.splice(Math.max(0, spawnIdx), 1)[0];
+        Object.assign(this.player, world(playerSpawn));
+        this.faceOpenDirection(playerSpawn);
+
+        // Everything below is placed by walking distance, so a boss behind a wall is not "far away"
+        const fromPlayer = this.mapGenerator.distancesFrom(map, playerSpawn, hiddenCells);
+        const stepsFromPlayer = pos => fromPlayer.get(`${pos.x},${pos.z}`) ?? -1;
+
+        // Boss spawn - the plain room cell (outside the player's room) with the longest walk
+        const playerRoom = this.roomAt(playerSpawn.x, playerSpawn.z);
+        const roomSpaces = openSpaces.filter(pos => {
+            const room = this.roomAt(pos.x, pos.z);
+            return room && !room.theme && room !== playerRoom;
+        });
+        const farthest = list => list.reduce((best, pos) => stepsFromPlayer(pos) > stepsFromPlayer(best) ? pos : best, list[0]);
+        // Last fallback: the farthest open space anywhere
+        const bossSpawn = farthest(roomSpaces.length > 0 ? roomSpaces : openSpaces);
+        openSpaces.splice(openSpaces.indexOf(bossSpawn), 1);
+        const fromBoss = this.mapGenerator.distancesFrom(map, bossSpawn, hiddenCells);
+        const stepsFromBoss = pos => fromBoss.get(`${pos.x},${pos.z}`) ?? -1;
+        const bossPos = world(bossSpawn);
+        this.spawnBoss(bossPos.x, bossPos.z);
+
+        // Doors - some become locked, lever-operated or one-way, always solvable from the spawn
+        const puzzle = this.mapGenerator.planDoorPuzzles(map, game.floor, playerSpawn, [bossSpawn, ...dungeonResult.traps], hiddenCells);
+        for (let z = 0; z < mapSize; z++) {
+            for (let x = 0; x < mapSize; x++) {
+                if (map[z][x] === 2) this.spawnDoor(x, z, puzzle.doors.find(d => d.x === x && d.z === z));
+            }
+        }
+        const takeSpace = pos => {
+            const idx = openSpaces.findIndex(p => p.x === pos.x && p.z === pos.z);
+            if (idx !== -1) openSpaces.splice(idx, 1);
+        };
+        for (const key of puzzle.keys) {
+            takeSpace(key);
+            const p = world(key);
+            this.spawnItem(p.x, p.z, 'doorKey', key.color);
+        }
+        for (const lever of puzzle.levers) {
+            takeSpace(lever);
+            const door = puzzle.doors[lever.door];
+            this.spawnLever(lever.x, lever.z, this.doors.find(d => d.gridX === door.x && d.gridZ === door.z));
+        }
+        game.doorKeys = [];
+
+        // Initialize revealed map from player position (needs the doors in place)
+        this.updateRevealedMap();
+
+        // Themed rooms take their interiors out of the shared spawn pool
+        this.populateThemedRooms(openSpaces);
+        this.populateSecretRooms();
+
+        // Spawn enemies
+        const enemyCount = Math.min(5 + game.floor * 2, openSpaces.length - 10);
+        for (let i = 0; i < enemyCount && openSpaces.length > 5; i++) {
+            const p = world(openSpaces.shift());
+            this.spawnEnemy(p.x, p.z);
+        }
+
+        // Spawn boss key off the critical path: fetching it must cost a real detour on the way to the boss
+        const { placement } = this;
+        let keyPos = null;
+        if (openSpaces.length > 0) {
+            const detour = pos => stepsFromPlayer(pos) + stepsFromBoss(pos) - stepsFromPlayer(bossSpawn);
+            keyPos = openSpaces.find(pos => stepsFromPlayer(pos) >= 0 && detour(pos) >= placement.keyMinDetour) ||
+                openSpaces.reduce((best, pos) => detour(pos) > detour(best) ? pos : best, openSpaces[0]);
+            openSpaces.splice(openSpaces.indexOf(keyPos), 1);
+            const p = world(keyPos);
+            this.spawnItem(p.x, p.z, 'key');
+        }
+        game.hasBossKey = false;
+
+        // Spawn shrine - a walk away from both player and boss (unless a shrine chamber holds it)
+        let shrinePos = this.shrine ? { x: Math.floor(this.shrine.x / cellSize), z: Math.floor(this.shrine.z / cellSize) } : null;
+        if (!this.shrine && openSpaces.length > 5) {
+            shrinePos = openSpaces.find(pos =>
+                stepsFromPlayer(pos) >= placement.shrineMinSteps && stepsFromBoss(pos) >= placement.shrineMinSteps);
+            // Fallback: find position with maximum combined distance
+            if (!shrinePos) {
+                const combined = pos => stepsFromPlayer(pos) + stepsFromBoss(pos);
+                shrinePos = openSpaces.reduce((best, pos) => combined(pos) > combined(best) ? pos : best, openSpaces[0]);
+            }
+            openSpaces.splice(openSpaces.indexOf(shrinePos), 1);
+            const p = world(shrinePos);
+            this.spawnShrine(p.x, p.z);
+        }
+
+        // Spawn torch item (guaranteed 1 per floor) within walking range of the player, so it is found early
+        let torchPos = null;
+        if (openSpaces.length > 0) {
+            const { min, max } = placement.torchSteps;
+            const outOfRange = pos => {
+                const steps = stepsFromPlayer(pos);
+                return steps < 0 ? Infinity : Math.max(0, min - steps, steps - max);
+            };
+            // Random spot in range, else the closest one to it
+            torchPos = openSpaces.find(pos => outOfRange(pos) === 0) ||
+                openSpaces.reduce((best, pos) => outOfRange(pos) < outOfRange(best) ? pos : best, openSpaces[0]);
+            openSpaces.splice(openSpaces.indexOf(torchPos), 1);
+            const p = world(torchPos);
+            this.spawnItem(p.x, p.z, 'torch');
+        }
+        game.distances = this.placementDistances(playerSpawn, { boss: bossSpawn, key: keyPos, shrine: shrinePos, torch: torchPos });
+
+        // Spawn potions and items
+        const itemCount = Math.min(3 + Math.floor(game.floor / 2), openSpaces.length - 5);
+        for (let i = 0; i < itemCount && openSpaces.length > 0; i++) {
+            const p = world(openSpaces.shift());
+            this.spawnItem(p.x, p.z, this.rollItemType());
+        }
+
+        this.emit('floor');
+        this.emit('stats');
+    }
+
+    // Everything in an authored level sits exactly where the file says; its doors are plain
+    spawnAuthoredLevel(level) {
+        const { map, mapSize, cellSize } = this;
+        const world = pos => ({ x: pos.x * cellSize + cellSize / 2, z: pos.z * cellSize + cellSize / 2 });
+        const { spawns } = level;
+        for (let z = 0; z < mapSize; z++)
+            for (let x = 0; x < mapSize; x++)
+                if (map[z][x] === 2) this.spawnDoor(x, z);
+
+        Object.assign(this.player, world(spawns.player));
+        this.faceOpenDirection(spawns.player);
+        this.updateRevealedMap();
+
+        const bossPos = world(spawns.boss);
+        this.spawnBoss(bossPos.x, bossPos.z, level.boss || this.pickBossType());
+        const key = world(spawns.key);
+        this.spawnItem(key.x, key.z, 'key');
+        if (spawns.shrine) {
+            const p = world(spawns.shrine);
+            this.spawnShrine(p.x, p.z);
+        }
+        for (const pos of spawns.torches || []) {
+            const p = world(pos);
+            this.spawnItem(p.x, p.z, 'torch');
+        }
+        for (const item of spawns.items || []) {
+            const p = world(item);
+            this.spawnItem(p.x, p.z, item.type);
+        }
+        for (const enemy of spawns.enemies || []) {
+            const p = world(enemy);
+            this.spawnEnemy(p.x, p.z, enemy.type);
+        }
+        // Themes still bring their light (and a shrine chamber its shrine); nothing else is added
+        this.populateThemedRooms([]);
+
+        const shrineCell = this.shrine && { x: Math.floor(this.shrine.x / cellSize), z: Math.floor(this.shrine.z / cellSize) };
+        this.game.distances = this.placementDistances(spawns.player, { boss: spawns.boss, key: spawns.key, shrine: shrineCell, torch: spawns.torches });
+    }
+
+    // Face the player toward an open direction (not a wall)
+    faceOpenDirection(spawn) {
+        const directions = [
+            { angle: 0, dx: 0, dz: 1 },           // +Z
+            { angle: Math.PI, dx: 0, dz: -1 },   // -Z
+            { angle: Math.PI / 2, dx: 1, dz: 0 },  // +X
+            { angle: -Math.PI / 2, dx: -1, dz: 0 } // -X
+        ];
+        for (const dir of directions) {
+            const nx = spawn.x + dir.dx;
+            const nz = spawn.z + dir.dz;
+            if (nx >= 0 && nx < this.mapSize && nz >= 0 && nz < this.mapSize && this.map[nz][nx] === 0) {
+                this.player.angle = dir.angle;
+                break;
+            }
+        }
+    }
+
+    // Walking steps from the player spawn to the boss, boss key, shrine and torch (null when there
+    // is none or it cannot be reached), plus keyDetour: the steps the key adds to the walk to the boss.
+    // A spot may be a list of cells (an authored level's torches); the nearest one counts.
+    placementDistances(start, spots) {
+        const walker = new MapGen.IrregularMapGenerator(this.mapSize);
+        const hidden = walker.hiddenCells(this.secretWalls);
+        const fromStart = walker.distancesFrom(this.map, start, hidden);
+        const steps = spot => {
+            const reached = [].concat(spot || []).map(pos => fromStart.get(`${pos.x},${pos.z}`)).filter(d => d !== undefined);
+            return reached.length > 0 ? Math.min(...reached) : null;
+        };
+        const distances = {};
+        for (const name of ['boss', 'key', 'shrine', 'torch']) distances[name] = steps(spots[name]);
+
+        distances.keyDetour = null;
+        if (distances.boss !== null && distances.key !== null) {
+            const keyToBoss = walker.distancesFrom(this.map, spots.key, hidden).get(`${spots.boss.x},${spots.boss.z}`);
+            if (keyToBoss !== undefined) distances.keyDetour = distances.key + keyToBoss - distances.boss;
+        }
+        return distances;
+    }
+
+    rollItemType() {
+        const r = this.rng();
+        if (r < 0.35) return 'potion';
+        if (r < 0.55) return 'mpPotion';
+        if (r < 0.70) return 'shield';
+        if (r < 0.85) return 'charm';
+        return 'torch';  // Extra torches possible
+    }
+
+    spawnShrine(x, z) {
+        this.shrine = { x, z };
+    }
+
+    // Room containing grid cell (x, z); area 'interior' (default) or 'outer' (includes the room's walls)
+    roomAt(x, z, area = 'interior') {
+        for (const room of this.rooms) {
+            const r = room[area];
+            if (x >= r.x && x < r.x + r.w && z >= r.z && z < r.z + r.h) return room;
+        }
+        return null;
+    }
+
+    // Tag rooms with themes. One room (first in shuffled order) always stays plain for the boss.
+    assignRoomThemes(rooms) {
+        rooms.forEach(room => room.theme = null);
+        const order = rooms.map((_, i) => i);
+        this.shuffleArray(order);
+        const used = new Set();
+        for (const i of order.slice(1)) {
+            if (this.rng() > 0.7) continue;
+            const candidates = Object.keys(ROOM_THEMES).filter(key => {
+                const theme = ROOM_THEMES[key];
+                return this.game.floor >= theme.minDepth && !(theme.unique && used.has(key));
+            });
+            if (candidates.length === 0) break;
+            let r = this.rng() * candidates.reduce((sum, key) => sum + ROOM_THEMES[key].weight, 0);
+            rooms[i].theme = candidates.find(key => (r -= ROOM_THEMES[key].weight) <= 0) || candidates[0];
+            used.add(rooms[i].theme);
+        }
+    }
+
+    // Spawn each themed room's contents. Removes the rooms' cells from openSpaces.
+    populateThemedRooms(openSpaces) {
+        const { cellSize } = this;
+        for (const room of this.rooms) {
+            if (!room.theme) continue;
+            const spaces = [];
+            for (let i = openSpaces.length - 1; i >= 0; i--) {
+                if (this.roomAt(openSpaces[i].x, openSpaces[i].z) === room) spaces.push(openSpaces.splice(i, 1)[0]);
+            }
+            this.shuffleArray(spaces);
+            const world = pos => ({ x: pos.x * cellSize + cellSize / 2, z: pos.z * cellSize + cellSize / 2 });
+            const { interior } = room;
+            const center = {
+                x: (interior.x + interior.w / 2) * cellSize,
+                z: (interior.z + interior.h / 2) * cellSize
+            };
+
+            switch (room.theme) {
+                case 'vault': {
+                    const count = 2 + Math.floor(this.game.floor / 3);
+                    for (let i = 0; i < count && spaces.length > 0; i++) {
+                        const p = world(spaces.shift());
+                        this.spawnItem(p.x, p.z, this.rollItemType());
+                    }
+                    break;
+                }
+                case 'den': {
+                    // A den is a nest of one species
+                    const type = this.pickEnemyType();
+                    const count = 3 + Math.floor(this.game.floor / 2);
+                    for (let i = 0; i < count && spaces.length > 0; i++) {
+                        const p = world(spaces.shift());
+                        this.spawnEnemy(p.x, p.z, type);
+                    }
+                    break;
+                }
+                case 'library': {
+                    const count = 1 + Math.floor(this.rng() * 2);
+                    for (let i = 0; i < count && spaces.length > 0; i++) {
+                        const p = world(spaces.shift());
+                        this.spawnLoreBook(p.x, p.z, LORE_TEXTS[Math.floor(this.rng() * LORE_TEXTS.length)]);
+                    }
+                    break;
+                }
+                case 'shrine': {
+                    if (!this.shrine) this.spawnShrine(center.x, center.z);
+                    break;
+                }
+                case 'trapGallery': {
+                    // Spikes everywhere except next to the doors, with a prize somewhere inside
+                    const nearDoor = pos => room.doors.some(d => Math.abs(d.x - pos.x) + Math.abs(d.z - pos.z) <= 1);
+                    const prize = spaces.find(pos => !nearDoor(pos));
+                    if (prize) {
+                        const p = world(prize);
+                        this.spawnItem(p.x, p.z, this.rollItemType());
+                    }
+                    for (const pos of spaces) {
+                        if (pos === prize || nearDoor(pos) || this.rng() > 0.45) continue;
+                        this.spawnTrap(pos.x, pos.z, { type: 'spikes' });
+                    }
+                    break;
+                }
+            }
+        }
+    }
+
+    // Loot behind each secret wall - never anything the floor needs
+    populateSecretRooms() {
+        const { cellSize } = this;
+        for (const secret of this.secretWalls) {
+            const cells = [];
+            for (let z = secret.room.z; z < secret.room.z + secret.room.h; z++)
+                for (let x = secret.room.x; x < secret.room.x + secret.room.w; x++) cells.push({ x, z });
+            this.shuffleArray(cells);
+            const lootCount = Math.min(cells.length, 1 + Math.floor(this.game.floor / 3));
+            for (let i = 0; i < lootCount; i++) {
+                this.spawnItem(cells[i].x * cellSize + cellSize/2, cells[i].z * cellSize + cellSize/2, this.rollItemType());
+            }
+        }
+    }
+
+    // The unopened secret wall cell the player is facing, if any (probes 1 and 2 units ahead)
+    secretWallAhead() {
+        const { player, cellSize } = this;
+        for (const reach of [1, 2]) {
+            const gx = Math.floor((player.x + Math.sin(player.angle) * reach) / cellSize);
+            const gz = Math.floor((player.z + Math.cos(player.angle) * reach) / cellSize);
+            const secret = this.secretWalls.find(s => !s.open && s.x === gx && s.z === gz);
+            if (secret) return secret;
+        }
+        return null;
+    }
+
+    openSecretWall(secret, message) {
+        secret.found = true;
+        secret.open = true;
+        this.map[secret.z][secret.x] = 0;
+        this.navFields.clear();
+        this.message(message);
+        this.updateRevealedMap();
+    }
+
+    // Illusory walls give way to a touch; breakable ones need three blows
+    strikeSecretWall(secret, byAttack) {
+        if (secret.kind === 'illusory') {
+            this.openSecretWall(secret, "The wall was an illusion! A hidden passage...");
+            return;
+        }
+        if (!byAttack) {
+            secret.found = true;
+            this.message("The wall sounds hollow... maybe it can be broken");
+            return;
+        }
+        secret.found = true;
+        secret.hits++;
+        if (secret.hits >= 3) {
+            this.openSecretWall(secret, "The wall crumbles! A hidden passage...");
+        } else {
+            this.message("The wall cracks!");
+        }
+    }
+
+    spawnLoreBook(x, z, text) {
+        this.loreBooks.push({ x, z, text, read: false });
+    }
+
+    // spec: { type: 'spikes' | 'poison' | 'plate' | 'pit', from?, dir? } as placed by the generator
+    spawnTrap(gridX, gridZ, spec) {
+        const { cellSize } = this;
+        this.traps.push({
+            x: gridX * cellSize + cellSize/2,
+            z: gridZ * cellSize + cellSize/2,
+            gridX, gridZ,
+            type: spec.type,
+            from: spec.from || null,
+            dir: spec.dir || null,
+            phase: Math.floor(this.rng() * 3000),   // spikes: offset into the 3s cycle
+            lastTrigger: -Infinity,
+            hit: new Set(),
+            revealed: false,
+            active: false    // spikes up, vent puffing, plate pressed
+        });
+    }
+
+    // Damage from anything but the player's blade (traps, pits, arrows, blasts, poison); a kill
+    // still splits an enemy that splits on death, the way a killing blow does
+    hurtEnemy(enemy, dmg) {
+        enemy.hp -= dmg;
+        this.emit('hit', { target: enemy });
+        if (enemy.hp > 0 || !this.enemies.includes(enemy)) return;
+        this.removeEnemy(enemy);
+        this.splitEnemy(enemy);
+    }
+
+    removeEnemy(enemy) {
+        const idx = this.enemies.indexOf(enemy);
+        if (idx === -1) return;
+        this.enemies.splice(idx, 1);
+        this.leaveRemains(enemy);
+        this.emit('kill', { target: enemy });
+        this.emit('stats');
+    }
+
+    // Fallen undead leave remains behind - once; raised ones crumble for good
+    leaveRemains(enemy) {
+        if (enemyBehaviors(enemy).leavesRemains && !enemy.raised) this.remains.push({ x: enemy.x, z: enemy.z, type: enemy.type });
+    }
+
+    // Enemies that split on death leave smaller copies behind, which cannot split again.
+    // Returns true if it split.
+    splitEnemy(enemy) {
+        const split = enemyBehaviors(enemy).splitOnDeath;
+        if (!split || enemy.isSplit) return false;
+        const def = ENEMY_TYPES[enemy.type];
+        const { floor } = this.game;
+        const hp = Math.round((20 + floor * 5) * def.hpMult * split.share);
+        const atk = Math.round((5 + floor * 2) * def.atkMult * split.share);
+        for (let i = 0; i < split.count; i++) {
+            const offset = split.count > 1 ? split.spread * (2 * i / (split.count - 1) - 1) : 0;
+            const copy = this.spawnEnemy(enemy.x + offset, enemy.z, enemy.type, { hp, atk, isSplit: true });
+            this.alertEnemy(copy, this.player.x, this.player.z);
+        }
+        this.message(`${def.name} split!`);
+        return true;
+    }
+
+    fireArrow(trap) {
+        const { cellSize } = this;
+        const arrow = {
+            x: trap.from.x * cellSize + cellSize/2 + trap.dir.dx * (cellSize/2 + 0.1),
+            z: trap.from.z * cellSize + cellSize/2 + trap.dir.dz * (cellSize/2 + 0.1),
+            dir: trap.dir,
+            traveled: 0
+        };
+        this.arrows.push(arrow);
+        this.emit('projectile', { kind: 'arrow', x: arrow.x, z: arrow.z });
+    }
+
+    // Ranged enemies loose slower arrows than traps, aimed where the player stands now - keep moving
+    fireEnemyArrow(enemy) {
+        const { player } = this;
+        const { rangedAttack } = enemyBehaviors(enemy);
+        const dx = player.x - enemy.x;
+        const dz = player.z - enemy.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        const dir = { dx: dx / dist, dz: dz / dist };
+        const arrow = {
+            x: enemy.x + dir.dx * 0.5,
+            z: enemy.z + dir.dz * 0.5,
+            dir,
+            traveled: 0,
+            speed: rangedAttack.arrowSpeed,
+            damage: enemy.atk,
+            shooter: enemy
+        };
+        this.arrows.push(arrow);
+        this.emit('projectile', { kind: 'arrow', x: arrow.x, z: arrow.z });
+    }
+
+    updateArrows(dt) {
+        const { player } = this;
+        for (let i = this.arrows.length - 1; i >= 0; i--) {
+            const arrow = this.arrows[i];
+            const speed = arrow.speed || ARROW_SPEED;
+            const damage = arrow.damage || 5 + this.game.floor * 2;
+            arrow.x += arrow.dir.dx * speed * dt;
+            arrow.z += arrow.dir.dz * speed * dt;
+            arrow.traveled += speed * dt;
+            const { x, z } = arrow;
+            let spent = this.isWall(x, z) || arrow.traveled > 20;
+
+            const pdx = x - player.x, pdz = z - player.z;
+            if (!spent && Math.sqrt(pdx * pdx + pdz * pdz) < 0.7) {
+                this.message(arrow.shooter ? "Hit by an arrow!" : "Arrow trap!");
+                this.takeDamage(damage);
+                spent = true;
+            }
+            for (const enemy of this.enemies) {
+                if (spent || enemyBehaviors(enemy).phaseThroughWalls || enemy === arrow.shooter) continue;
+                const edx = x - enemy.x, edz = z - enemy.z;
+                if (Math.sqrt(edx * edx + edz * edz) < 0.7) {
+                    this.hurtEnemy(enemy, damage);
+                    spent = true;
+                }
+            }
+            if (spent) this.arrows.splice(i, 1);
+        }
+    }
+
+    // A pit skips the rest of the floor - no stairs, so no boss-kill bonus either
+    fallIntoPit() {
+        this.game.floor++;
+        this.game.hasBossKey = false;
+        this.generateDungeon();
+        this.message(`You fell through a pit! Depth ${this.game.floor}...`, 3000);
+    }
+
+    // Traps fire for the player and for walking enemies (wraiths float over them)
+    updateTraps(dt) {
+        const { game, player, cellSize, mapRevealed } = this;
+        const now = this.time;
+        const pgx = Math.floor(player.x / cellSize);
+        const pgz = Math.floor(player.z / cellSize);
+        const viewRadius = this.getViewRadius();
+        const trapDamage = 4 + game.floor * 2;
+
+        for (const trap of this.traps) {
+            // Torchlight reveals a trap for good, but only faintly
+            if (!trap.revealed && this.torchActive && mapRevealed[trap.gridZ] && mapRevealed[trap.gridZ][trap.gridX]) {
+                const ddx = trap.gridX - pgx, ddz = trap.gridZ - pgz;
+                if (Math.sqrt(ddx * ddx + ddz * ddz) <= viewRadius) trap.revealed = true;
+            }
+
+            const playerOn = trap.gridX === pgx && trap.gridZ === pgz;
+            const walkersOn = this.enemies.filter(e => !enemyBehaviors(e).hovers &&
+                Math.floor(e.x / cellSize) === trap.gridX &&
+                Math.floor(e.z / cellSize) === trap.gridZ);
+            let active = false;
+
+            switch (trap.type) {
+                case 'spikes':
+                    // Up for one second in every three; each raise hits everyone on the plate once
+                    active = (now + trap.phase) % 3000 < 1000;
+                    if (!active) {
+                        trap.hit.clear();
+                    } else {
+                        if (playerOn && !trap.hit.has('player')) {
+                            trap.hit.add('player');
+                            this.message("Spikes!");
+                            this.takeDamage(trapDamage);
+                        }
+                        for (const enemy of walkersOn) {
+                            if (trap.hit.has(enemy)) continue;
+                            trap.hit.add(enemy);
+                            this.hurtEnemy(enemy, trapDamage);
+                        }
+                    }
+                    break;
+                case 'poison':
+                    if (playerOn) {
+                        if (now > game.poisonEndTime) this.message("Poisoned!");
+                        game.poisonEndTime = now + 5000;
+                        trap.lastTrigger = now;
+                    }
+                    for (const enemy of walkersOn) {
+                        enemy.poisonEndTime = now + 5000;
+                        trap.lastTrigger = now;
+                    }
+                    active = now - trap.lastTrigger < 600;
+                    break;
+                case 'plate':
+                    active = playerOn || walkersOn.length > 0;
+                    if (active && now - trap.lastTrigger > 2000) {
+                        trap.lastTrigger = now;
+                        this.fireArrow(trap);
+                    }
+                    break;
+                case 'pit':
+                    if (playerOn) {
+                        this.fallIntoPit();
+                        return;
+                    }
+                    walkersOn.forEach(enemy => this.hurtEnemy(enemy, enemy.hp));
+                    break;
+            }
+            trap.active = active;
+        }
+
+        // Poison ticks once a second
+        if (now < game.poisonEndTime && now - game.lastPoisonTick >= 1000) {
+            game.lastPoisonTick = now;
+            this.takeDamage(1 + Math.floor(game.floor / 2));
+        }
+        for (const enemy of [...this.enemies]) {
+            if (!enemy.poisonEndTime || now > enemy.poisonEndTime || now - (enemy.lastPoisonTick ?? -Infinity) < 1000) continue;
+            enemy.lastPoisonTick = now;
+            this.hurtEnemy(enemy, 1 + Math.floor(game.floor / 2));
+        }
+
+        this.updateArrows(dt);
+    }
+
+    // spec comes from planDoorPuzzles (undefined for a plain door)
+    spawnDoor(gridX, gridZ, spec) {
+        const kind = spec ? spec.kind : 'normal';
+        const { cellSize } = this;
+        this.doors.push({
+            x: gridX * cellSize + cellSize/2,
+            z: gridZ * cellSize + cellSize/2,
+            gridX, gridZ, kind,
+            color: kind === 'locked' ? spec.color : null,
+            dir: kind === 'oneWay' ? spec.dir : null,
+            isOpen: false,
+            lastWarning: -Infinity
+        });
+    }
+
+    openDoor(door, message) {
+        door.isOpen = true;
+        this.message(message);
+        this.emit('door', { door });
+        this.makeNoise(door.x, door.z, NOISE_RANGE.door);
+        this.updateRevealedMap(); // Reveal areas behind the opened door
+    }
+
+    // Closed doors other than plain ones block movement
+    isDoorSealed(gridX, gridZ) {
+        const door = this.doors.find(d => d.gridX === gridX && d.gridZ === gridZ);
+        return !!door && !door.isOpen && door.kind !== 'normal';
+    }
+
+    spawnLever(gridX, gridZ, door) {
+        const { cellSize } = this;
+        this.levers.push({
+            x: gridX * cellSize + cellSize/2,
+            z: gridZ * cellSize + cellSize/2,
+            gridX, gridZ, door,
+            pulled: false
+        });
+    }
+
+    pullLever(lever) {
+        lever.pulled = true;
+        if (lever.door && !lever.door.isOpen) this.openDoor(lever.door, "A portcullis rises somewhere...");
+        else this.message("The lever doesn't budge");
+    }
+
+    shuffleArray(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(this.rng() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+    }
+
+    pickEnemyType() {
+        const { floor } = this.game;
+        // The biome decides the mix: crypts favor skeletons, caverns slimes, forges golems.
+        // Types join from their minDepth, at a growing share of their weight for a few depths.
+        const biomeWeights = BIOMES[this.game.biome].enemyWeights;
+        const weighted = Object.keys(ENEMY_TYPES).map(t => {
+            const { minDepth } = ENEMY_TYPES[t];
+            const phase = minDepth ? Math.max(0, Math.min(1, (floor - minDepth + 1) / ENEMY_PHASE_IN)) : 1;
+            return [t, phase * (biomeWeights[t] || 0.5)];
+        });
+        const totalWeight = weighted.reduce((s, [, w]) => s + w, 0);
+        let r = this.rng() * totalWeight;
+        for (const [t, w] of weighted) {
+            r -= w;
+            if (w > 0 && r <= 0) return t;
+        }
+        return 'skeleton';
+    }
+
+    spawnEnemy(x, z, type, overrides) {
+        if (!type) type = this.pickEnemyType();
+        const def = ENEMY_TYPES[type] || ENEMY_TYPES.skeleton;
+        const { floor } = this.game;
+
+        const baseHp = 20 + floor * 5;
+        const baseAtk = 5 + floor * 2;
+        const baseSpeed = 1.2 + floor * 0.12;   // units per second
+
+        const enemy = {
+            x, z,
+            angle: 0,
+            type,
+            hp: Math.round((overrides && overrides.hp) || baseHp * def.hpMult),
+            maxHp: Math.round((overrides && overrides.hp) || baseHp * def.hpMult),
+            atk: Math.round((overrides && overrides.atk) || baseAtk * def.atkMult),
+            speed: baseSpeed * def.speedMult,
+            lastAttack: -Infinity,
+            isSplit: (overrides && overrides.isSplit) || false,
+            lastJump: -Infinity,
+            // Behavior: state is idle | patrol | suspicious | chase | search | flee
+            state: 'idle',
+            awareness: 0,        // 0-1; a full meter turns suspicion into a chase
+            post: { x, z },
+            lastSensed: -Infinity,
+            lastKnown: null,     // where the player was last seen or heard
+            goal: null,          // where the enemy is walking to while patrolling or searching
+            idleUntil: 0,
+            stateUntil: 0,       // when a search gives up
+            fuseLit: null,       // selfDestruct: when its fuse was lit
+            castStart: null,     // raiseDead: when it began raising the dead
+            lastCast: -Infinity,
+            raised: false        // raised by a necromancer; leaves no remains again
+        };
+        this.enemies.push(enemy);
+        return enemy;
+    }
+
+    pickBossType() {
+        const types = ['guardian', 'sorcerer', 'berserker'];
+        return types[this.game.floor % 3];
+    }
+
+    spawnBoss(x, z, bossType = this.pickBossType()) {
+        const def = BOSS_TYPES[bossType];
+        const baseHp = 100 + this.game.floor * 50;
+        const baseAtk = 15 + this.game.floor * 5;
+
+        this.boss = {
+            x, z,
+            angle: 0,
+            type: bossType,
+            hp: Math.round(baseHp * def.hpMult),
+            maxHp: Math.round(baseHp * def.hpMult),
+            atk: Math.round(baseAtk * def.atkMult),
+            baseAtk: Math.round(baseAtk * def.atkMult),
+            speedMult: def.speedMult,
+            active: false,
+            lastAttack: -Infinity,
+            attackCount: 0,
+            phase: 1,            // see BOSS_TYPES; setBossPhase() sets atk, speedMult, telegraphTime and enraged
+            phaseUntil: 0,       // end of the pause as a new phase begins
+            telegraphing: false,
+            telegraphStart: 0,
+            telegraphTime: 2000,
+            enraged: false,
+            stunned: false,
+            stunEnd: 0
+        };
+        setBossPhase(this.boss, 1);
+    }
+
+    spawnItem(x, z, type, keyColor) {
+        this.items.push({ type, x, z, color: type === 'doorKey' ? keyColor : null });
+    }
+
+    getComboMultiplier() {
+        if (this.time - this.game.lastHitTime > 2000) {
+            this.game.comboCount = 0;
+        }
+        return 1 + Math.min(this.game.comboCount, 5) * 0.15;
+    }
+
+    registerHit() {
+        const { game } = this;
+        if (this.time - game.lastHitTime <= 2000) {
+            game.comboCount = Math.min(game.comboCount + 1, 5);
+        } else {
+            game.comboCount = 1;
+        }
+        game.lastHitTime = this.time;
+        this.emit('combo');
+    }
+
+    isBackstab(target) {
+        // Compare player's attack direction vs boss facing direction
+        // Player attacks from behind if angle between attack direction and boss facing > 120°
+        const attackDir = this.player.angle; // player faces this direction
+        let diff = attackDir - target.angle;
+        while (diff > Math.PI) diff -= Math.PI * 2;
+        while (diff < -Math.PI) diff += Math.PI * 2;
+        // Backstab if within ±60° of the boss's back (i.e., diff close to 0 means same direction = behind)
+        return Math.abs(diff) < Math.PI / 3;
+    }
+
+    attack() {
+        const { game, player } = this;
+        if (!game.isPlaying) return;
+        this.record('attack');
+        if (game.mp < 5) {
+            this.message("Not enough MP!");
+            return;
+        }
+        game.mp -= 5;
+        this.emit('attack');
+        this.makeNoise(player.x, player.z, NOISE_RANGE.attack);
+
+        const comboMult = this.getComboMultiplier();
+        const attackRange = 3;
+        const attackAngle = Math.PI / 4;
+        let hitSomething = false;
+
+        for (let i = this.enemies.length - 1; i >= 0; i--) {
+            const enemy = this.enemies[i];
+            const dx = enemy.x - player.x;
+            const dz = enemy.z - player.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+
+            if (dist < attackRange) {
+                const angle = Math.atan2(dx, dz);
+                let angleDiff = angle - player.angle;
+                while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+                while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+
+                if (Math.abs(angleDiff) < attackAngle) {
+                    if (this.shieldBlocks(enemy)) {
+                        hitSomething = true;
+                        this.alertEnemy(enemy, player.x, player.z);
+                        this.emit('block', { target: enemy });
+                        this.message("Blocked by the shield!");
+                        continue;
+                    }
+                    const dmg = Math.round(game.atk * comboMult);
+                    enemy.hp -= dmg;
+                    this.emit('hit', { target: enemy });
+                    hitSomething = true;
+                    this.registerHit();
+                    this.emit('damage', { target: enemy, amount: dmg });
+                    if (enemy.state !== 'flee') this.alertEnemy(enemy, player.x, player.z);
+
+                    if (enemy.hp <= 0) {
+                        this.enemies.splice(i, 1);
+                        game.totalKills++;
+                        this.leaveRemains(enemy);
+                        this.emit('kill', { target: enemy });
+                        if (!this.splitEnemy(enemy)) this.message("Enemy defeated!");
+                    }
+                }
+            }
+        }
+
+        // Check if hitting boss
+        const { boss } = this;
+        if (boss && boss.active) {
+            const dx = boss.x - player.x;
+            const dz = boss.z - player.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+
+            if (dist < attackRange + 1) {
+                const angle = Math.atan2(dx, dz);
+                let angleDiff = angle - player.angle;
+                while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+                while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+
+                if (Math.abs(angleDiff) < attackAngle && this.time < boss.phaseUntil) {
+                    // Untouchable while a new phase begins
+                    this.emit('block', { target: boss });
+                    hitSomething = true;
+                } else if (Math.abs(angleDiff) < attackAngle) {
+                    let dmg = Math.round(game.atk * comboMult);
+
+                    // Backstab check
+                    if (this.isBackstab(boss)) {
+                        dmg *= 2;
+                        this.emit('backstab');
+                    }
+
+                    boss.hp -= dmg;
+                    this.emit('hit', { target: boss });
+                    hitSomething = true;
+                    this.registerHit();
+                    this.emit('damage', { target: boss, amount: dmg });
+
+                    if (boss.hp <= 0) {
+                        this.defeatBoss();
+                    }
+                }
+            }
+        }
+
+        // A swing that hits nothing may strike a secret wall
+        if (!hitSomething) {
+            const secret = this.secretWallAhead();
+            if (secret) this.strikeSecretWall(secret, true);
+        }
+
+        // Decay combo after timeout
+        if (this.time - game.lastHitTime > 2000) {
+            game.comboCount = 0;
+            this.emit('combo');
+        }
+
+        this.emit('stats');
+    }
+
+    defeatBoss() {
+        const { game, boss } = this;
+        game.bossActive = false;
+        this.message(`Depth ${game.floor} cleared! Find the stairs down!`);
+        game.totalKills++;
+        this.emit('kill', { target: boss });
+
+        // Stairs appear where the boss fell
+        this.stairs = { x: boss.x, z: boss.z };
+        this.boss = null;
+
+        // Bonus stats
+        game.maxHp += 10;
+        game.hp = game.maxHp;
+        game.maxMp += 5;
+        game.mp = game.maxMp;
+        game.atk += 2;
+    }
+
+    interact() {
+        const { game, player } = this;
+        if (!game.isPlaying) return;
+        this.record('interact');
+        const near = (obj, range) => {
+            const dx = obj.x - player.x;
+            const dz = obj.z - player.z;
+            return Math.sqrt(dx * dx + dz * dz) < range;
+        };
+
+        // Check for shrine FIRST (before boss, since they may be nearby)
+        if (this.shrine && !game.shrineUsed && near(this.shrine, 2)) {
+            game.shrineUsed = true;
+            game.shrineBuff = true;
+            game.atk += 5;
+            game.maxHp += 20;
+            game.hp = Math.min(game.hp + 20, game.maxHp);
+            this.message("Shrine blessing! ATK+5, MaxHP+20");
+            this.emit('shrine');
+            this.emit('stats');
+            return;
+        }
+
+        // Pull levers
+        for (const lever of this.levers) {
+            if (!lever.pulled && near(lever, 2)) {
+                this.pullLever(lever);
+                return;
+            }
+        }
+
+        // Read lore books
+        for (const book of this.loreBooks) {
+            if (near(book, 2)) {
+                book.read = true;
+                this.message(`📜 ${book.text}`, 5000);
+                return;
+            }
+        }
+
+        // Search the wall in front of the player
+        const secret = this.secretWallAhead();
+        if (secret) {
+            this.strikeSecretWall(secret, false);
+            return;
+        }
+
+        // Check for boss interaction
+        const { boss } = this;
+        if (boss && !boss.active && near(boss, 5)) {
+            if (game.hasBossKey) {
+                boss.active = true;
+                game.bossActive = true;
+                this.message("BOSS BATTLE START!");
+                this.emit('stats');
+            } else {
+                this.message("You need the Boss Key to challenge the Guardian!");
+            }
+            return;
+        }
+
+        // Check for stairs - the next floor loads a second later
+        if (this.stairs && this.descendAt === null && near(this.stairs, 2)) {
+            game.floor++;
+            game.hasBossKey = false;
+            this.message(`Descending to Depth ${game.floor}...`);
+            this.descendAt = this.time + 1000;
+        }
+    }
+
+    useItem(index) {
+        const { game } = this;
+        if (!game.isPlaying) return;
+        if (index < 0 || index >= game.items.length) return;
+        this.record('useItem', { index });
+
+        const item = game.items[index];
+        switch (item) {
+            case 'potion':
+                const healAmount = 50;
+                game.hp = Math.min(game.hp + healAmount, game.maxHp);
+                this.message("HP restored!");
+                this.emit('damage', { target: 'player', amount: healAmount, heal: true });
+                break;
+            case 'mpPotion':
+                const mpAmount = 30;
+                game.mp = Math.min(game.mp + mpAmount, game.maxMp);
+                this.message("MP restored!");
+                this.emit('damage', { target: 'player', amount: mpAmount, heal: true });
+                break;
+            case 'shield':
+                game.atk += 3;
+                this.message("Attack power increased!");
+                break;
+            case 'charm':
+                game.shieldBuff = true;
+                game.shieldBuffTime = this.time + 15000;
+                this.message("Defense up for 15 seconds!");
+                break;
+            case 'torch':
+                this.torchActive = true;
+                this.torchEndTime = this.time + TORCH_DURATION;
+                this.message("Torch lit! (60s)");
+                break;
+        }
+        game.items.splice(index, 1);
+        this.emit('stats');
+    }
+
+    // Mouse look, in radians
+    look(dAngle, dPitch = 0) {
+        const { player } = this;
+        this.record('look', { dAngle, dPitch });
+        player.angle += dAngle;
+        player.pitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, player.pitch + dPitch));
+    }
+
+    // Face an absolute direction (scripted players)
+    setAngle(angle) {
+        this.record('angle', { angle });
+        this.player.angle = angle;
+    }
+
+    setInventoryOpen(open) {
+        if (open === this.inventoryOpen) return;
+        this.record('inventory', { open });
+        this.inventoryOpen = open;
+    }
+
+    // The current run so far as a replay file: start settings plus every input by tick
+    getReplay() {
+        const { game } = this;
+        if (!this.replay) return null;
+        return {
+            ...this.replay,
+            recordedAt: new Date().toISOString(),
+            ticks: this.tick,
+            // Where the run ended up, so a playback can be checked against it
+            result: { floor: game.floor, hp: game.hp, kills: game.totalKills, isPlaying: game.isPlaying },
+            events: this.replay.events.map(e => ({ ...e }))
+        };
+    }
+
+    updateTorch() {
+        if (this.torchActive && this.time > this.torchEndTime) {
+            this.torchActive = false;
+        }
+    }
+
+    getViewRadius() {
+        return this.torchActive ? MEMORY_VIEW_RADIUS_LIT : MEMORY_VIEW_RADIUS_DARK;
+    }
+
+    updateMapMemory(dt) {
+        const { mapSize, mapMemory, cellSize } = this;
+        if (!mapMemory || mapMemory.length === 0) return;
+        const pgx = Math.floor(this.player.x / cellSize);
+        const pgz = Math.floor(this.player.z / cellSize);
+        const viewRadius = this.getViewRadius();
+
+        // BFS flood fill from player, limited by viewRadius, stops at walls. It only changes when the
+        // player changes cell, the torch goes on or off or a door opens, so it is reused until then.
+        const viewKey = `${pgx},${pgz},${viewRadius},${this.doors.filter(d => d.isOpen).length}`;
+        if (!this.memoryView || this.memoryView.key !== viewKey) {
+            this.memoryView = { key: viewKey, visible: this.floodView(pgx, pgz, viewRadius) };
+        }
+        const { visible } = this.memoryView;
+
+        // Decay all non-visible cells
+        const decay = MEMORY_DECAY_RATE * dt;
+        for (let z = 0; z < mapSize; z++) {
+            for (let x = 0; x < mapSize; x++) {
+                if (mapMemory[z][x] > 0 && !visible.has(z * mapSize + x)) {
+                    mapMemory[z][x] = Math.max(0, mapMemory[z][x] - decay);
+                }
+            }
+        }
+    }
+
+    // Cells in sight of grid cell (pgx, pgz), raising their memory to how clearly they are seen
+    floodView(pgx, pgz, viewRadius) {
+        const { map, mapSize, mapMemory } = this;
+        const visible = new Set();
+        const queue = [{ x: pgx, z: pgz, dist: 0 }];
+        visible.add(pgz * mapSize + pgx);
+
+        for (let head = 0; head < queue.length; head++) {
+            const { x, z, dist } = queue[head];
+            if (x < 0 || x >= mapSize || z < 0 || z >= mapSize) continue;
+            const cell = map[z] && map[z][x];
+            if (cell === -1) continue; // void
+            const strength = 1.0 - (dist / (viewRadius + 1)) * 0.3;
+            mapMemory[z][x] = Math.min(1.0, Math.max(mapMemory[z][x], strength));
+            // Walls and closed doors are seen but not seen through
+            if (cell === 1) continue;
+            if (cell === 2) {
+                const doorObj = this.doors.find(d => d.gridX === x && d.gridZ === z);
+                if (doorObj && !doorObj.isOpen) continue;
+            }
+
+            if (dist >= viewRadius) continue;
+            // Spread to neighbors (4-directional)
+            for (const [dx, dz] of [[0,-1],[0,1],[-1,0],[1,0]]) {
+                const nx = x + dx, nz = z + dz;
+                // Off-map neighbours get a key of their own so they are skipped, not aliased
+                const key = nx >= 0 && nx < mapSize ? nz * mapSize + nx : `${nx},${nz}`;
+                if (!visible.has(key)) {
+                    visible.add(key);
+                    queue.push({ x: nx, z: nz, dist: dist + 1 });
+                }
+            }
+        }
+        return visible;
+    }
+
+    // Update revealed map - flood fill from player, stopping at walls and closed doors
+    updateRevealedMap() {
+        const { map, mapSize, mapRevealed, cellSize } = this;
+        const pgx = Math.floor(this.player.x / cellSize);
+        const pgz = Math.floor(this.player.z / cellSize);
+
+        const visited = new Set();
+        const revealedFloors = []; // Track revealed floor/door cells
+        const queue = [{ x: pgx, z: pgz }];
+        visited.add(`${pgx},${pgz}`);
+
+        // Phase 1: Flood fill through walkable areas only
+        while (queue.length > 0) {
+            const { x, z } = queue.shift();
+            if (x < 0 || x >= mapSize || z < 0 || z >= mapSize) continue;
+
+            const cell = map[z]?.[x];
+            if (cell === -1 || cell === 1) continue; // Skip void/walls
+
+            // Check if this is a closed door - don't pass through
+            if (cell === 2) {
+                const doorObj = this.doors.find(d => d.gridX === x && d.gridZ === z);
+                if (doorObj && !doorObj.isOpen) {
+                    // Reveal the closed door itself but don't expand
+                    mapRevealed[z][x] = true;
+                    continue;
+                }
+            }
+
+            // Reveal this floor/door cell
+            mapRevealed[z][x] = true;
+            revealedFloors.push({ x, z });
+
+            // Expand to neighbors
+            for (const [dx, dz] of [[0,-1], [0,1], [-1,0], [1,0]]) {
+                const nx = x + dx, nz = z + dz;
+                const key = `${nx},${nz}`;
+                if (!visited.has(key)) {
+                    visited.add(key);
+                    queue.push({ x: nx, z: nz });
+                }
+            }
+        }
+
+        // Phase 2: Reveal walls adjacent to revealed floor/door cells
+        for (const { x, z } of revealedFloors) {
+            for (const [dx, dz] of [[0,-1], [0,1], [-1,0], [1,0], [-1,-1], [-1,1], [1,-1], [1,1]]) {
+                const nx = x + dx, nz = z + dz;
+                if (nx >= 0 && nx < mapSize && nz >= 0 && nz < mapSize) {
+                    if (map[nz][nx] === 1) mapRevealed[nz][nx] = true;
+                }
+            }
+        }
+    }
+
+    updatePlayer(dt, keys) {
+        const { game, player } = this;
+        if (!game.isPlaying || this.inventoryOpen) return;
+
+        const speed = PLAYER_SPEED * dt;
+        let dx = 0, dz = 0;
+
+        if (keys['w']) { dx += Math.sin(player.angle); dz += Math.cos(player.angle); }
+        if (keys['s']) { dx -= Math.sin(player.angle); dz -= Math.cos(player.angle); }
+        if (keys['a']) { dx += Math.cos(player.angle); dz -= Math.sin(player.angle); }
+        if (keys['d']) { dx -= Math.cos(player.angle); dz += Math.sin(player.angle); }
+
+        if (dx !== 0 || dz !== 0) {
+            const len = Math.sqrt(dx * dx + dz * dz);
+            dx = dx / len * speed;
+            dz = dz / len * speed;
+
+            const newX = player.x + dx;
+            const newZ = player.z + dz;
+
+            // Collision detection with margin
+            const margin = 0.4;
+
+            const blocked = (x, z, stepX, stepZ) => this.isWall(x, z) || this.oneWayBlocks(x, z, stepX, stepZ);
+            let canMoveX = !blocked(newX + margin, player.z, dx, 0) && !blocked(newX - margin, player.z, dx, 0);
+            let canMoveZ = !blocked(player.x, newZ + margin, 0, dz) && !blocked(player.x, newZ - margin, 0, dz);
+
+            // Entity collision (enemies + boss)
+            if (canMoveX || canMoveZ) {
+                const testX = canMoveX ? newX : player.x;
+                const testZ = canMoveZ ? newZ : player.z;
+                for (const enemy of this.enemies) {
+                    const def = ENEMY_TYPES[enemy.type] || ENEMY_TYPES.skeleton;
+                    // Phased enemies (wraiths) - no collision
+                    if (def.behaviors.phaseThroughWalls) continue;
+                    const eRadius = Math.max(def.size.w, def.size.d) * 0.5 + margin;
+                    const edx = testX - enemy.x;
+                    const edz = testZ - enemy.z;
+                    const eDist = Math.sqrt(edx * edx + edz * edz);
+                    if (eDist < eRadius) {
+                        // Push player back — block the axis that caused overlap
+                        const edxOld = player.x - enemy.x;
+                        const edzOld = player.z - enemy.z;
+                        if (canMoveX && Math.abs(newX - enemy.x) < Math.abs(edxOld)) canMoveX = false;
+                        if (canMoveZ && Math.abs(newZ - enemy.z) < Math.abs(edzOld)) canMoveZ = false;
+                    }
+                }
+                const { boss } = this;
+                if (boss) {
+                    const bRadius = 1.0 + margin;
+                    const bdx = testX - boss.x;
+                    const bdz = testZ - boss.z;
+                    const bDist = Math.sqrt(bdx * bdx + bdz * bdz);
+                    if (bDist < bRadius) {
+                        const bdxOld = player.x - boss.x;
+                        const bdzOld = player.z - boss.z;
+                        if (canMoveX && Math.abs(newX - boss.x) < Math.abs(bdxOld)) canMoveX = false;
+                        if (canMoveZ && Math.abs(newZ - boss.z) < Math.abs(bdzOld)) canMoveZ = false;
+                    }
+                }
+            }
+
+            if (canMoveX) player.x = newX;
+            if (canMoveZ) player.z = newZ;
+            if (canMoveX || canMoveZ) this.makeNoise(player.x, player.z, NOISE_RANGE.footsteps);
+        }
+
+        // MP regeneration
+        if (game.mp < game.maxMp) {
+            game.mp = Math.min(game.mp + MP_REGEN * dt, game.maxMp);
+        }
+
+        // Fog of war: reveal cells near player, decay distant memories
+        this.updateMapMemory(dt);
+
+        // Check item pickup
+        for (let i = this.items.length - 1; i >= 0; i--) {
+            const item = this.items[i];
+            const itemDx = item.x - player.x;
+            const itemDz = item.z - player.z;
+            const dist = Math.sqrt(itemDx * itemDx + itemDz * itemDz);
+
+            if (dist < 1.8) {
+                if (item.type === 'key') {
+                    game.hasBossKey = true;
+                    this.message("Got the Boss Key!");
+                } else if (item.type === 'doorKey') {
+                    game.doorKeys.push(item.color);
+                    this.message(`Got the ${item.color} key!`);
+                } else {
+                    game.items.push(item.type);
+                    this.message(`Got ${item.type}!`);
+                }
+
+                this.items.splice(i, 1);
+                this.emit('pickup', { item: item.type });
+                this.emit('stats');
+            }
+        }
+
+        // Doors: plain ones open on approach, the others need a key, a lever or the right side
+        const now = this.time;
+        for (const door of this.doors) {
+            const doorDx = door.x - player.x;
+            const doorDz = door.z - player.z;
+            const doorDist = Math.sqrt(doorDx * doorDx + doorDz * doorDz);
+
+            // One-way doors swing shut once the player has moved on
+            if (door.kind === 'oneWay' && door.isOpen && doorDist > 2.5) {
+                door.isOpen = false;
+            }
+            if (door.isOpen) continue;
+
+            // Sealed doors block movement, so they react from a little farther out
+            if (doorDist >= (door.kind === 'normal' ? 2.0 : 2.5)) continue;
+
+            let warning = null;
+            if (door.kind === 'normal') {
+                this.openDoor(door, "Door opened");
+            } else if (door.kind === 'locked') {
+                const keyIdx = game.doorKeys.indexOf(door.color);
+                if (keyIdx !== -1) {
+                    game.doorKeys.splice(keyIdx, 1);
+                    this.openDoor(door, `Unlocked the ${door.color} door`);
+                    this.emit('stats');
+                } else {
+                    warning = `Locked - needs the ${door.color} key`;
+                }
+            } else if (door.kind === 'portcullis') {
+                warning = "A portcullis bars the way - find its lever";
+            } else if (door.kind === 'oneWay') {
+                // Only opens for someone standing behind it (against the arrow)
+                const side = -doorDx * door.dir.dx - doorDz * door.dir.dz;
+                if (side < 0) this.openDoor(door, "One-way door");
+                else warning = "It won't open from this side";
+            }
+            if (warning && now - door.lastWarning > 3000) {
+                door.lastWarning = now;
+                this.message(warning);
+            }
+        }
+    }
+
+    // An open one-way door still turns the player back: once they are through (past its cell
+    // along dir), a step back against dir into the door's cell is blocked until it swings shut and seals
+    oneWayBlocks(x, z, stepX, stepZ) {
+        const { player, cellSize } = this;
+        const gridX = Math.floor(x / cellSize);
+        const gridZ = Math.floor(z / cellSize);
+        const door = this.doors.find(d => d.kind === 'oneWay' && d.isOpen && d.gridX === gridX && d.gridZ === gridZ);
+        if (!door || stepX * door.dir.dx + stepZ * door.dir.dz >= 0) return false;
+        if (Math.floor(player.x / cellSize) === gridX && Math.floor(player.z / cellSize) === gridZ) return false;
+        return (player.x - door.x) * door.dir.dx + (player.z - door.z) * door.dir.dz > 0;
+    }
+
+    isWall(x, z) {
+        const mapX = Math.floor(x / this.cellSize);
+        const mapZ = Math.floor(z / this.cellSize);
+        if (mapX < 0 || mapX >= this.mapSize || mapZ < 0 || mapZ >= this.mapSize) return true;
+        const cell = this.map[mapZ][mapX];
+        if (cell === 2) return this.isDoorSealed(mapX, mapZ);
+        return cell === 1 || cell === -1; // wall or void
+    }
+
+    updateEnemies(dt) {
+        const { game, player } = this;
+        if (!game.isPlaying) return;
+
+        const now = this.time;
+        const sightRange = this.torchActive ? ENEMY_SIGHT_RANGE.lit : ENEMY_SIGHT_RANGE.dark;
+
+        const blasts = [];
+        this.updateNavKey();
+        for (const enemy of this.enemies) {
+            const behaviors = enemyBehaviors(enemy);
+            const dx = player.x - enemy.x;
+            const dz = player.z - enemy.z;
+            const dist = Math.sqrt(dx * dx + dz * dz);
+            const sees = this.enemySees(enemy, dist, sightRange);
+
+            if (behaviors.fleeBelow && enemy.state !== 'flee' && enemy.hp <= enemy.maxHp * behaviors.fleeBelow) {
+                this.setEnemyState(enemy, 'flee');
+            }
+            if (enemy.state !== 'flee') this.updateEnemyAwareness(enemy, dt, sees, dist / sightRange);
+
+            const facing = enemy.angle;
+            if (behaviors.raiseDead && this.castRaise(enemy, behaviors.raiseDead)) {
+                // Stands still while casting
+                enemy.angle = Math.atan2(dx, dz);
+            } else {
+                switch (enemy.state) {
+                    case 'chase':      this.moveEnemyChase(enemy, dt, sees, dist); break;
+                    case 'search':     this.moveEnemySearch(enemy, dt); break;
+                    case 'suspicious': this.moveEnemySuspicious(enemy, dt, sees); break;
+                    case 'flee':       this.moveEnemyFlee(enemy, dt, sees, dist); break;
+                    default:           this.moveEnemyIdle(enemy, dt);
+                }
+            }
+            if (behaviors.slowTurn) enemy.angle = turnToward(facing, enemy.angle, behaviors.slowTurn * dt);
+
+            // Enemies cannot strike through walls, and only hunting or cornered ones strike at all
+            const atkRange = behaviors.extendedReach || ENEMY_REACH;
+            const hostile = enemy.state === 'chase' || enemy.state === 'flee';
+            const { rangedAttack, selfDestruct } = behaviors;
+            if (rangedAttack && hostile && sees && now - enemy.lastAttack > rangedAttack.cooldown) {
+                enemy.lastAttack = now;
+                this.fireEnemyArrow(enemy);
+            }
+            if (!behaviors.noMelee && hostile && sees && dist < atkRange && now - enemy.lastAttack > 1000) {
+                enemy.lastAttack = now;
+                this.takeDamage(enemy.atk);
+            }
+
+            // A lit fuse burns down whatever happens next
+            if (selfDestruct) {
+                if (enemy.fuseLit === null && enemy.state === 'chase' && sees && dist < selfDestruct.trigger) {
+                    enemy.fuseLit = now;
+                    this.emit('fuse', { target: enemy });
+                } else if (enemy.fuseLit !== null && now - enemy.fuseLit >= selfDestruct.time) {
+                    blasts.push(enemy);
+                }
+            }
+        }
+        // Blasts go off after the loop, since they remove enemies
+        for (const enemy of blasts) this.explode(enemy);
+
+        if (this.boss && this.boss.active) this.updateBoss(dt);
+
+        // Update boss projectiles
+        this.updateBossProjectiles(dt);
+    }
+
+    // Unalerted enemies only see ahead of them; hunting ones look every way. Anyone
+    // right next to an enemy is felt whichever way it faces.
+    enemySees(enemy, dist, sightRange) {
+        const { player } = this;
+        if (dist >= sightRange) return false;
+        const wary = enemy.state === 'chase' || enemy.state === 'search' || enemy.state === 'flee';
+        if (!wary && dist > ENEMY_FEEL_RANGE) {
+            let angleDiff = Math.atan2(player.x - enemy.x, player.z - enemy.z) - enemy.angle;
+            while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+            while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+            if (Math.abs(angleDiff) > ENEMY_VIEW_ANGLE) return false;
+        }
+        return this.hasLineOfSight(enemy.x, enemy.z, player.x, player.z);
+    }
+
+    /**
+     * Move an enemy between states on what it sees this tick. Watching the
+     * player fills its awareness - faster the closer they are - and a full
+     * meter means a chase; out of sight, suspicion and searches run out.
+     */
+    updateEnemyAwareness(enemy, dt, sees, distShare) {
+        const { player } = this;
+        const now = this.time;
+        if (sees) {
+            if (enemy.state === 'chase' || enemy.state === 'search') {
+                this.alertEnemy(enemy, player.x, player.z);
+                return;
+            }
+            enemy.awareness += dt * 1000 / (ENEMY_NOTICE_TIME * Math.max(0.15, distShare));
+            if (enemy.awareness >= 1) {
+                this.alertEnemy(enemy, player.x, player.z);
+            } else {
+                this.suspectEnemy(enemy, player.x, player.z);
+            }
+            return;
+        }
+
+        enemy.awareness = Math.max(0, enemy.awareness - dt * 1000 / ENEMY_SUSPICION_TIME);
+        if (enemy.state === 'chase' && now - enemy.lastSensed > ENEMY_CHASE_MEMORY) {
+            this.setEnemyState(enemy, 'search');
+        } else if (enemy.state === 'search' && now > enemy.stateUntil) {
+            this.setEnemyState(enemy, 'patrol');
+            enemy.goal = enemy.post;
+        } else if (enemy.state === 'suspicious' && now - enemy.lastSensed > ENEMY_SUSPICION_TIME) {
+            this.setEnemyState(enemy, 'patrol');
+            enemy.goal = enemy.post;
+        }
+    }
+
+    setEnemyState(enemy, state) {
+        enemy.state = state;
+        enemy.goal = null;
+        enemy.idleUntil = 0;
+        if (state === 'search') enemy.stateUntil = this.time + ENEMY_SEARCH_TIME;
+        if (state === 'chase' || state === 'flee') enemy.awareness = 1;
+        if (state === 'patrol') enemy.awareness = 0;
+    }
+
+    // A hunting enemy closes in while it can see the player, otherwise it runs to where
+    // it last saw or heard them and starts searching there
+    moveEnemyChase(enemy, dt, sees, dist) {
+        const { player } = this;
+        const now = this.time;
+
+        if (!sees) {
+            const target = enemy.lastKnown;
+            if (!target || this.moveEnemyToward(enemy, target.x, target.z, enemy.speed * dt)) {
+                this.setEnemyState(enemy, 'search');
+            }
+            return;
+        }
+
+        const dx = player.x - enemy.x;
+        const dz = player.z - enemy.z;
+        const { standoff, hopAttack: hop } = enemyBehaviors(enemy);
+        if (standoff) {
+            // Ranged and support enemies hold the player at a distance
+            const [near, far] = standoff;
+            if (dist < near) this.stepEnemyAway(enemy, enemy.speed * dt, dist);
+            else if (dist > far) this.moveEnemyToward(enemy, player.x, player.z, enemy.speed * dt);
+        } else if (dist > ENEMY_REACH) {
+            // Occasional leap (short teleport)
+            if (hop && this.rng() < hop.chance * dt && now - enemy.lastJump > hop.cooldown && dist < hop.range) {
+                enemy.lastJump = now;
+                const jumpDist = Math.min(dist - ENEMY_REACH, hop.distance);
+                const jumpX = enemy.x + (dx / dist) * jumpDist;
+                const jumpZ = enemy.z + (dz / dist) * jumpDist;
+                if (!this.isWall(jumpX, jumpZ)) {
+                    enemy.x = jumpX;
+                    enemy.z = jumpZ;
+                }
+            } else {
+                this.moveEnemyToward(enemy, player.x, player.z, enemy.speed * dt);
+            }
+        }
+
+        // Face player
+        enemy.angle = Math.atan2(dx, dz);
+    }
+
+    // Searching enemies dart between spots around where they lost the player
+    moveEnemySearch(enemy, dt) {
+        const now = this.time;
+        if (!enemy.goal) {
+            if (now < enemy.idleUntil) return;
+            enemy.goal = this.pickWanderGoal(enemy, enemy.lastKnown || enemy.post, ENEMY_SEARCH_RANGE);
+            if (!enemy.goal) {
+                enemy.idleUntil = now + ENEMY_SEARCH_PAUSE;
+                return;
+            }
+        }
+        if (this.moveEnemyToward(enemy, enemy.goal.x, enemy.goal.z, enemy.speed * dt)) {
+            enemy.goal = null;
+            enemy.idleUntil = now + ENEMY_SEARCH_PAUSE;
+        }
+    }
+
+    // A suspicious enemy stops to stare at what it glimpsed, or creeps over to where
+    // it heard or last glimpsed something
+    moveEnemySuspicious(enemy, dt, sees) {
+        const { player } = this;
+        if (sees) {
+            enemy.angle = Math.atan2(player.x - enemy.x, player.z - enemy.z);
+            return;
+        }
+        const target = enemy.lastKnown;
+        if (target) this.moveEnemyToward(enemy, target.x, target.z, enemy.speed * ENEMY_PATROL_SPEED * dt);
+    }
+
+    /**
+     * A badly hurt enemy backs away from the player along the walking paths,
+     * cowering once out of sight and well away. Cornered, it turns and
+     * fights (updateEnemies lets fleeing enemies strike).
+     */
+    moveEnemyFlee(enemy, dt, sees, dist) {
+        const { player } = this;
+        enemy.angle = Math.atan2(player.x - enemy.x, player.z - enemy.z);
+        if (!sees && dist > ENEMY_FLEE_DISTANCE) return;
+        this.stepEnemyAway(enemy, enemy.speed * dt, dist);
+    }
+
+    // Move an enemy up to `step` units away from the player, along the walking paths
+    stepEnemyAway(enemy, step, dist) {
+        const { player, cellSize, mapSize } = this;
+        if (enemyBehaviors(enemy).phaseThroughWalls) {
+            enemy.x -= ((player.x - enemy.x) / dist) * step;
+            enemy.z -= ((player.z - enemy.z) / dist) * step;
+            return;
+        }
+
+        // Uphill on the walking distance from the player is away from them
+        const field = this.navField(Math.floor(player.x / cellSize), Math.floor(player.z / cellSize));
+        const gx = Math.floor(enemy.x / cellSize);
+        const gz = Math.floor(enemy.z / cellSize);
+        let best = null;
+        let bestDist = field[gz * mapSize + gx];
+        for (const [ox, oz] of NAV_NEIGHBORS) {
+            const nx = gx + ox, nz = gz + oz;
+            if (nx < 0 || nx >= mapSize || nz < 0 || nz >= mapSize) continue;
+            const d = field[nz * mapSize + nx];
+            if (d > bestDist) {
+                best = [nx, nz];
+                bestDist = d;
+            }
+        }
+        if (!best) return;
+        this.moveEnemyToward(enemy, best[0] * cellSize + cellSize/2, best[1] * cellSize + cellSize/2, step);
+    }
+
+    /**
+     * raiseDead: while hunting, stop to raise the nearest remains in
+     * range, then wait out the cooldown. Returns true while casting.
+     */
+    castRaise(enemy, raise) {
+        const now = this.time;
+        const inRange = r => Math.sqrt((r.x - enemy.x) ** 2 + (r.z - enemy.z) ** 2) < raise.range;
+        if (enemy.castStart === null) {
+            if (enemy.state !== 'chase' || now - enemy.lastCast < raise.cooldown) return false;
+            if (!this.remains.some(inRange)) return false;
+            enemy.castStart = now;
+            return true;
+        }
+        if (now - enemy.castStart < raise.castTime) return true;
+
+        enemy.castStart = null;
+        enemy.lastCast = now;
+        let nearest = null;
+        let nearestDist = Infinity;
+        for (const r of this.remains) {
+            const d = Math.sqrt((r.x - enemy.x) ** 2 + (r.z - enemy.z) ** 2);
+            if (d < raise.range && d < nearestDist) {
+                nearest = r;
+                nearestDist = d;
+            }
+        }
+        if (!nearest) return false;   // another necromancer got there first
+
+        this.remains.splice(this.remains.indexOf(nearest), 1);
+        const risen = this.spawnEnemy(nearest.x, nearest.z, nearest.type);
+        risen.hp = risen.maxHp = Math.round(risen.maxHp * 0.5);
+        risen.raised = true;
+        this.alertEnemy(risen, this.player.x, this.player.z);
+        this.emit('raise', { target: risen });
+        this.message("The dead rise again!");
+        return false;
+    }
+
+    // A self-destructing enemy blows up, hurting the player and every other enemy in the blast.
+    // One already gone (killed by an earlier blast the same tick) has nothing left to blow up.
+    explode(enemy) {
+        if (!this.enemies.includes(enemy)) return;
+        const { player } = this;
+        const { radius } = enemyBehaviors(enemy).selfDestruct;
+        const inBlast = e => Math.sqrt((e.x - enemy.x) ** 2 + (e.z - enemy.z) ** 2) < radius;
+        this.removeEnemy(enemy);
+        this.emit('explosion', { x: enemy.x, z: enemy.z, radius });
+        if (inBlast(player)) {
+            this.message(`${ENEMY_TYPES[enemy.type].name} exploded!`);
+            this.takeDamage(enemy.atk);
+        }
+        for (const other of this.enemies.filter(inBlast)) this.hurtEnemy(other, enemy.atk);
+    }
+
+    // A shield stops blows from in front unless its bearer has just swung its own weapon
+    shieldBlocks(enemy) {
+        const { shield } = enemyBehaviors(enemy);
+        if (!shield || this.time - enemy.lastAttack < shield.openTime) return false;
+        let angleDiff = Math.atan2(this.player.x - enemy.x, this.player.z - enemy.z) - enemy.angle;
+        while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+        while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+        return Math.abs(angleDiff) < shield.arc;
+    }
+
+    // Idle enemies wander between random spots near their post, resting in between
+    moveEnemyIdle(enemy, dt) {
+        const now = this.time;
+        if (!enemy.goal) {
+            if (now < enemy.idleUntil) return;
+            enemy.goal = this.pickWanderGoal(enemy, enemy.post, ENEMY_PATROL_RANGE);
+            if (!enemy.goal) {
+                enemy.idleUntil = now + ENEMY_IDLE_TIME[0];
+                return;
+            }
+            enemy.state = 'patrol';
+        }
+
+        const { goal } = enemy;
+        if (this.moveEnemyToward(enemy, goal.x, goal.z, enemy.speed * ENEMY_PATROL_SPEED * dt)) {
+            const [minIdle, maxIdle] = ENEMY_IDLE_TIME;
+            enemy.state = 'idle';
+            enemy.goal = null;
+            enemy.idleUntil = now + minIdle + this.rng() * (maxIdle - minIdle);
+        }
+    }
+
+    // A random cell within `range` cells of `center` the enemy can walk to
+    pickWanderGoal(enemy, center, range) {
+        const { cellSize } = this;
+        const centerX = Math.floor(center.x / cellSize);
+        const centerZ = Math.floor(center.z / cellSize);
+        const span = range * 2 + 1;
+        for (let tries = 0; tries < 4; tries++) {
+            const gx = centerX + Math.floor(this.rng() * span) - range;
+            const gz = centerZ + Math.floor(this.rng() * span) - range;
+            if (!this.enemyCanEnter(gx, gz)) continue;
+            if (!enemyBehaviors(enemy).phaseThroughWalls) {
+                const field = this.navField(gx, gz);
+                const from = Math.floor(enemy.z / cellSize) * this.mapSize + Math.floor(enemy.x / cellSize);
+                if (field[from] < 0) continue;
+            }
+            return { x: gx * cellSize + cellSize/2, z: gz * cellSize + cellSize/2 };
+        }
+        return null;
+    }
+
+    /**
+     * Step an enemy up to `step` units toward (x, z), following the walking
+     * path around walls and sealed doors. Enemies that phase through walls
+     * go straight.
+     * Returns true once the enemy stands on the target.
+     */
+    moveEnemyToward(enemy, x, z, step) {
+        const phases = enemyBehaviors(enemy).phaseThroughWalls;
+        const waypoint = phases ? null : this.nextWaypoint(enemy, x, z);
+        const wx = waypoint ? waypoint.x : x;
+        const wz = waypoint ? waypoint.z : z;
+        const dx = wx - enemy.x;
+        const dz = wz - enemy.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        if (dist <= step) {
+            if (phases || !this.isWall(wx, wz)) {
+                enemy.x = wx;
+                enemy.z = wz;
+            }
+            return !waypoint;
+        }
+
+        const newX = enemy.x + (dx / dist) * step;
+        const newZ = enemy.z + (dz / dist) * step;
+        if (phases) {
+            enemy.x = newX;
+            enemy.z = newZ;
+        } else {
+            if (!this.isWall(newX, enemy.z)) enemy.x = newX;
+            if (!this.isWall(enemy.x, newZ)) enemy.z = newZ;
+        }
+        enemy.angle = Math.atan2(dx, dz);
+        return false;
+    }
+
+    // The farthest cell centre along the path to (x, z) the enemy can walk to in a
+    // straight line, or null to head straight for the target (same cell, clear line
+    // or no path at all)
+    nextWaypoint(enemy, x, z) {
+        const { cellSize, mapSize } = this;
+        const targetX = Math.floor(x / cellSize);
+        const targetZ = Math.floor(z / cellSize);
+        let gx = Math.floor(enemy.x / cellSize);
+        let gz = Math.floor(enemy.z / cellSize);
+        if (gx === targetX && gz === targetZ) return null;
+        if (!this.lineBlocked(enemy.x, enemy.z, x, z, false)) return null;
+
+        const field = this.navField(targetX, targetZ);
+        if (field[gz * mapSize + gx] < 0) return null;
+
+        let waypoint = null;
+        for (let i = 0; i < NAV_LOOKAHEAD; i++) {
+            const here = field[gz * mapSize + gx];
+            const next = NAV_NEIGHBORS.find(([ox, oz]) => {
+                const nx = gx + ox, nz = gz + oz;
+                return nx >= 0 && nx < mapSize && nz >= 0 && nz < mapSize && field[nz * mapSize + nx] === here - 1;
+            });
+            if (!next) break;
+            gx += next[0];
+            gz += next[1];
+            const cx = gx * cellSize + cellSize/2;
+            const cz = gz * cellSize + cellSize/2;
+            if (i > 0 && this.lineBlocked(enemy.x, enemy.z, cx, cz, false)) break;
+            waypoint = { x: cx, z: cz };
+            if (gx === targetX && gz === targetZ) break;
+        }
+        return waypoint;
+    }
+
+    enemyCanEnter(gx, gz) {
+        const { cellSize } = this;
+        return !this.isWall(gx * cellSize + cellSize/2, gz * cellSize + cellSize/2);
+    }
+
+    /**
+     * Walking distance in cells from every cell to (gx, gz), -1 where the
+     * target cannot be reached. A breadth-first flood fill shared by every
+     * enemy heading for the same cell, rebuilt when a door opens or shuts.
+     */
+    navField(gx, gz) {
+        const key = gz * this.mapSize + gx;
+        let field = this.navFields.get(key);
+        if (field) return field;
+
+        const { mapSize } = this;
+        field = new Int16Array(mapSize * mapSize).fill(-1);
+        field[key] = 0;
+        const queue = [key];
+        for (let head = 0; head < queue.length; head++) {
+            const cell = queue[head];
+            const cx = cell % mapSize;
+            const cz = (cell - cx) / mapSize;
+            for (const [ox, oz] of NAV_NEIGHBORS) {
+                const nx = cx + ox, nz = cz + oz;
+                const next = nz * mapSize + nx;
+                if (nx < 0 || nx >= mapSize || nz < 0 || nz >= mapSize || field[next] >= 0) continue;
+                if (!this.enemyCanEnter(nx, nz)) continue;
+                field[next] = field[cell] + 1;
+                queue.push(next);
+            }
+        }
+
+        if (this.navFields.size >= NAV_FIELD_CACHE) this.navFields.clear();
+        this.navFields.set(key, field);
+        return field;
+    }
+
+    // Floor cells the boss can walk to from where it stands, the way placementDistances() walks:
+    // not into an undiscovered secret room, through a sealed door or onto (or over) a trap. One-way
+    // doors stop it even when open, since the player may not be able to follow back through one.
+    bossTeleportCells(boss) {
+        const { cellSize } = this;
+        const walker = new MapGen.IrregularMapGenerator(this.mapSize);
+        const blocked = walker.hiddenCells(this.secretWalls.filter(s => !s.open));
+        for (const trap of this.traps) blocked.add(`${trap.gridX},${trap.gridZ}`);
+        for (const door of this.doors) {
+            if (door.kind === 'oneWay' || this.isDoorSealed(door.gridX, door.gridZ)) blocked.add(`${door.gridX},${door.gridZ}`);
+        }
+        const start = { x: Math.floor(boss.x / cellSize), z: Math.floor(boss.z / cellSize) };
+        const cells = [];
+        for (const key of walker.distancesFrom(this.map, start, blocked).keys()) {
+            const [x, z] = key.split(',').map(Number);
+            if (this.map[z][x] === 0) cells.push({ x, z });
+        }
+        return cells;
+    }
+
+    // Drop cached paths once any door has changed between passable and sealed
+    updateNavKey() {
+        const key = this.doors.map(d => d.isOpen || d.kind === 'normal' ? 1 : 0).join('');
+        if (key === this.navKey) return;
+        this.navKey = key;
+        this.navFields.clear();
+    }
+
+    // Walls, void and closed doors of any kind block sight
+    hasLineOfSight(x1, z1, x2, z2) {
+        return !this.lineBlocked(x1, z1, x2, z2, true);
+    }
+
+    /**
+     * Walk the grid cells a segment crosses (after the one it starts in) and
+     * report whether any of them stops it: for sight anything opaque, for
+     * walking anything an enemy cannot enter.
+     */
+    lineBlocked(x1, z1, x2, z2, sight) {
+        const { cellSize, mapSize } = this;
+        let gx = Math.floor(x1 / cellSize);
+        let gz = Math.floor(z1 / cellSize);
+        const dx = x2 - x1;
+        const dz = z2 - z1;
+        const stepX = dx > 0 ? 1 : -1;
+        const stepZ = dz > 0 ? 1 : -1;
+        const deltaX = dx !== 0 ? cellSize / Math.abs(dx) : Infinity;
+        const deltaZ = dz !== 0 ? cellSize / Math.abs(dz) : Infinity;
+        let tX = dx !== 0 ? (dx > 0 ? (gx + 1) * cellSize - x1 : x1 - gx * cellSize) / Math.abs(dx) : Infinity;
+        let tZ = dz !== 0 ? (dz > 0 ? (gz + 1) * cellSize - z1 : z1 - gz * cellSize) / Math.abs(dz) : Infinity;
+
+        let steps = Math.abs(Math.floor(x2 / cellSize) - gx) + Math.abs(Math.floor(z2 / cellSize) - gz);
+        for (; steps > 0; steps--) {
+            if (tX < tZ) {
+                gx += stepX;
+                tX += deltaX;
+            } else {
+                gz += stepZ;
+                tZ += deltaZ;
+            }
+            if (gx < 0 || gx >= mapSize || gz < 0 || gz >= mapSize) return true;
+            if (!sight) {
+                if (!this.enemyCanEnter(gx, gz)) return true;
+                continue;
+            }
+            const cell = this.map[gz][gx];
+            if (cell === 1 || cell === -1) return true;
+            if (cell === 2) {
+                const door = this.doors.find(d => d.gridX === gx && d.gridZ === gz);
+                if (door && !door.isOpen) return true;
+            }
+        }
+        return false;
+    }
+
+    // The enemy is sure of the player and hunts them from where it saw or heard them
+    alertEnemy(enemy, x, z) {
+        if (enemy.state !== 'chase') this.setEnemyState(enemy, 'chase');
+        enemy.lastSensed = this.time;
+        enemy.lastKnown = { x, z };
+    }
+
+    // The enemy caught a glimpse or a sound and means to look into it
+    suspectEnemy(enemy, x, z) {
+        if (enemy.state !== 'suspicious') this.setEnemyState(enemy, 'suspicious');
+        enemy.lastSensed = this.time;
+        enemy.lastKnown = { x, z };
+    }
+
+    // A sound carries to every enemy within range, walls or not. Calm enemies come to
+    // investigate; hunting ones take it as the player's new whereabouts.
+    makeNoise(x, z, range) {
+        for (const enemy of this.enemies) {
+            const dx = enemy.x - x, dz = enemy.z - z;
+            if (Math.sqrt(dx * dx + dz * dz) >= range) continue;
+            if (enemy.state === 'chase') {
+                enemy.lastSensed = this.time;
+                enemy.lastKnown = { x, z };
+            } else if (enemy.state === 'search') {
+                this.setEnemyState(enemy, 'search');
+                enemy.lastKnown = { x, z };
+            } else if (enemy.state !== 'flee') {
+                this.suspectEnemy(enemy, x, z);
+            }
+        }
+    }
+
+    updateBoss(dt) {
+        const { boss, player } = this;
+        const now = this.time;
+        const dx = player.x - boss.x;
+        const dz = player.z - boss.z;
+        const dist = Math.sqrt(dx * dx + dz * dz);
+        const bossDef = BOSS_TYPES[boss.type] || BOSS_TYPES.guardian;
+
+        // Falling past the next phase's HP threshold starts it
+        const next = bossDef.phases[boss.phase];
+        if (next && boss.hp <= boss.maxHp * next.below) {
+            this.enterBossPhase(boss.phase + 1);
+            return;
+        }
+        if (now < boss.phaseUntil) return;
+        const phase = bossPhase(boss);
+
+        // Limit turn speed (for backstab opportunities)
+        const targetRot = Math.atan2(dx, dz);
+        let rotDiff = targetRot - boss.angle;
+        while (rotDiff > Math.PI) rotDiff -= Math.PI * 2;
+        while (rotDiff < -Math.PI) rotDiff += Math.PI * 2;
+        const maxTurn = BOSS_TURN_SPEED * dt;
+        boss.angle += Math.max(-maxTurn, Math.min(maxTurn, rotDiff));
+
+        // Teleporting phases blink around the floor
+        if (phase.movement === 'teleport' && this.rng() < BOSS_TELEPORT_CHANCE * dt) {
+            // Teleport to a random floor cell the boss could have walked to
+            const openCells = this.bossTeleportCells(boss);
+            if (openCells.length > 0) {
+                const cell = openCells[Math.floor(this.rng() * openCells.length)];
+                boss.x = cell.x * this.cellSize + this.cellSize / 2;
+                boss.z = cell.z * this.cellSize + this.cellSize / 2;
+                this.message("Boss teleported!");
+            }
+        }
+
+        // Stunned state (berserker hits wall after charge)
+        const bossIsStunned = boss.stunned && now <= boss.stunEnd;
+        if (boss.stunned && now > boss.stunEnd) {
+            boss.stunned = false;
+        }
+        if (bossIsStunned) return;
+
+        // Telegraph system
+        if (boss.telegraphing) {
+            const progress = Math.min(1, (now - boss.telegraphStart) / boss.telegraphTime);
+            if (progress < 1) return;
+
+            // Telegraph complete → execute special attack
+            boss.telegraphing = false;
+            if (dist >= 6) {
+                // Player dodged successfully
+                this.emit('dodge');
+                return;
+            }
+
+            // Player failed to dodge
+            const specialDmg = boss.atk * 3;
+            if (phase.special === 'slam') {
+                this.takeDamage(specialDmg);
+                this.message("SLAM ATTACK!");
+            } else if (phase.special === 'bolt') {
+                // Fire projectile toward player
+                this.spawnBossProjectile(boss.x, boss.z, dx, dz, dist);
+            } else if (phase.special === 'volley') {
+                // A fan of bolts, the middle one at the player
+                for (const spread of [-BOSS_VOLLEY_SPREAD, 0, BOSS_VOLLEY_SPREAD]) {
+                    const aim = targetRot + spread;
+                    this.spawnBossProjectile(boss.x, boss.z, Math.sin(aim), Math.cos(aim), 1);
+                }
+            } else if (phase.special === 'charge') {
+                // Berserker charge
+                const chargeDir = { x: dx / dist, z: dz / dist };
+                let chargeX = boss.x;
+                let chargeZ = boss.z;
+                for (let step = 0; step < 20; step++) {
+                    const nx = chargeX + chargeDir.x * 0.5;
+                    const nz = chargeZ + chargeDir.z * 0.5;
+                    if (this.isWall(nx, nz)) {
+                        boss.stunned = true;
+                        boss.stunEnd = now + 2000;
+                        this.message("Boss stunned!");
+                        break;
+                    }
+                    chargeX = nx;
+                    chargeZ = nz;
+                    // Check if hit player during charge
+                    const pDist = Math.sqrt(Math.pow(chargeX - player.x, 2) + Math.pow(chargeZ - player.z, 2));
+                    if (pDist < 2) {
+                        this.takeDamage(specialDmg);
+                        this.message("CHARGE ATTACK!");
+                        break;
+                    }
+                }
+                boss.x = chargeX;
+                boss.z = chargeZ;
+            }
+            return;
+        }
+
+        // Normal behavior
+        const bossSpeed = (1.8 + (1 - boss.hp / boss.maxHp) * 1.2) * (boss.speedMult || 1.0) * dt;
+        if (dist > 3) {
+            boss.x += (dx / dist) * bossSpeed;
+            boss.z += (dz / dist) * bossSpeed;
+        }
+
+        // Normal boss attack
+        if (dist < 3.5 && now - boss.lastAttack > 1500) {
+            boss.lastAttack = now;
+            boss.attackCount++;
+            this.takeDamage(boss.atk);
+
+            // Every few attacks, start telegraph for special
+            if (boss.attackCount % phase.specialEvery === 0) {
+                boss.telegraphing = true;
+                boss.telegraphStart = now;
+            }
+        }
+    }
+
+    /**
+     * Start the boss's next phase: it stops for BOSS_PHASE_PAUSE ms, and cannot be hurt, while
+     * the phase is announced and its minions arrive, then fights on with the new phase's
+     * attacks and movement. A wind-up or stun in progress is dropped.
+     */
+    enterBossPhase(number) {
+        const { boss, player } = this;
+        setBossPhase(boss, number);
+        boss.phaseUntil = this.time + BOSS_PHASE_PAUSE;
+        boss.telegraphing = false;
+        boss.stunned = false;
+        boss.attackCount = 0;
+
+        // Minions appear in a ring around the boss, wherever the floor is open
+        const { summon, message } = (BOSS_TYPES[boss.type] || BOSS_TYPES.guardian).phases[number - 1];
+        const count = summon ? summon.count : 0;
+        for (let i = 0; i < count; i++) {
+            const around = boss.angle + Math.PI * 2 * (i + 0.5) / count;
+            let x = boss.x + Math.sin(around) * 2;
+            let z = boss.z + Math.cos(around) * 2;
+            if (this.isWall(x, z)) {
+                x = boss.x;
+                z = boss.z;
+            }
+            const minion = this.spawnEnemy(x, z, summon.type);
+            this.alertEnemy(minion, player.x, player.z);
+        }
+
+        this.emit('bossPhase', { target: boss, phase: number });
+        this.message(message || `The boss grows stronger! (Phase ${number})`, 2500);
+        this.emit('stats');
+    }
+
+    spawnBossProjectile(fromX, fromZ, dx, dz, dist) {
+        const speed = 9;   // units per second
+        this.bossProjectiles.push({
+            x: fromX,
+            z: fromZ,
+            vx: (dx / dist) * speed,
+            vz: (dz / dist) * speed,
+            spawnTime: this.time
+        });
+        this.emit('projectile', { kind: 'bolt', x: fromX, z: fromZ });
+    }
+
+    updateBossProjectiles(dt) {
+        const { player } = this;
+        for (let i = this.bossProjectiles.length - 1; i >= 0; i--) {
+            const p = this.bossProjectiles[i];
+            p.x += p.vx * dt;
+            p.z += p.vz * dt;
+
+            // Check wall collision
+            if (this.isWall(p.x, p.z) || this.time - p.spawnTime > 5000) {
+                this.bossProjectiles.splice(i, 1);
+                continue;
+            }
+
+            // Check player collision
+            const pdx = p.x - player.x;
+            const pdz = p.z - player.z;
+            if (Math.sqrt(pdx * pdx + pdz * pdz) < 1) {
+                this.takeDamage(this.boss ? this.boss.atk * 2 : 10);
+                this.bossProjectiles.splice(i, 1);
+                this.message("Hit by projectile!");
+            }
+        }
+    }
+
+    takeDamage(amount) {
+        const { game } = this;
+        // Shield buff: 50% damage reduction
+        if (game.shieldBuff && this.time < game.shieldBuffTime) {
+            amount = Math.round(amount * 0.5);
+        } else if (game.shieldBuff && this.time >= game.shieldBuffTime) {
+            game.shieldBuff = false;
+        }
+        game.hp -= amount;
+        this.emit('damage', { target: 'player', amount });
+
+        if (game.hp <= 0) {
+            game.hp = 0;
+            this.gameOver();
+        }
+        this.emit('stats');
+    }
+
+    // End the run without a game over, e.g. when the host leaves a replay
+    stop() {
+        this.game.isPlaying = false;
+        this.descendAt = null;
+        this.emit('stats');
+    }
+
+    gameOver() {
+        this.game.isPlaying = false;
+        this.inventoryOpen = false;
+        this.emit('gameOver');
+    }
+
+    // Snapshot for bots and tests. Entities only show up once their cell is revealed (fog of war).
+    getState() {
+        const { game, cellSize, mapRevealed } = this;
+        const revealed = (wx, wz) => {
+            const gx = Math.floor(wx / cellSize);
+            const gz = Math.floor(wz / cellSize);
+            return !!(mapRevealed[gz] && mapRevealed[gz][gx]);
+        };
+        const { boss, stairs, shrine } = this;
+        return {
+            game: {
+                seed: game.seed,
+                floor: game.floor,
+                hp: game.hp,
+                maxHp: game.maxHp,
+                mp: game.mp,
+                maxMp: game.maxMp,
+                atk: game.atk,
+                items: [...game.items],
+                hasBossKey: game.hasBossKey,
+                doorKeys: [...game.doorKeys],
+                totalKills: game.totalKills,
+                isPlaying: game.isPlaying,
+                bossActive: game.bossActive,
+                comboCount: game.comboCount,
+                shrineUsed: game.shrineUsed,
+                shrineBuff: game.shrineBuff,
+                shieldBuff: game.shieldBuff,
+                torchActive: this.torchActive,
+                poisoned: this.time < game.poisonEndTime,
+                time: this.time,   // simulated milliseconds, frozen while paused
+                biome: game.biome,
+                // { boss, key, shrine, torch, keyDetour } in walking steps from this floor's spawn
+                distances: { ...game.distances }
+            },
+            playerPos: { x: this.player.x, z: this.player.z },
+            playerAngle: this.player.angle,
+            // Helper: check if world position is revealed
+            _isRevealed: revealed,
+            // Only expose entities in revealed areas (fog of war)
+            enemies: this.enemies.filter(e => revealed(e.x, e.z)).map(e => ({
+                x: e.x,
+                z: e.z,
+                hp: e.hp,
+                maxHp: e.maxHp,
+                type: e.type || 'skeleton',
+                state: e.state
+            })),
+            boss: boss && revealed(boss.x, boss.z) ? {
+                x: boss.x,
+                z: boss.z,
+                hp: boss.hp,
+                maxHp: boss.maxHp,
+                active: boss.active,
+                type: boss.type || 'guardian',
+                phase: boss.phase,
+                phaseCount: BOSS_TYPES[boss.type].phases.length,
+                phaseChanging: this.time < boss.phaseUntil,
+                telegraphing: boss.telegraphing || false,
+                telegraphProgress: boss.telegraphing
+                    ? Math.min(1, (this.time - boss.telegraphStart) / boss.telegraphTime)
+                    : 0,
+                stunned: boss.stunned || false,
+                enraged: boss.enraged || false,
+                rotationY: boss.angle
+            } : null,
+            items: this.items.filter(i => revealed(i.x, i.z))
+                .map(i => ({ x: i.x, z: i.z, type: i.type, color: i.color })),
+            // color is set for locked doors, dir ({dx, dz}, the way through) for one-way doors
+            doors: this.doors.map(d => ({
+                x: d.x, z: d.z, gridX: d.gridX, gridZ: d.gridZ, isOpen: d.isOpen,
+                kind: d.kind, color: d.color, dir: d.dir
+            })),
+            // Secret walls only show up once the player has found them
+            secrets: this.secretWalls.filter(w => w.found).map(w => ({ gridX: w.x, gridZ: w.z, kind: w.kind, open: w.open })),
+            levers: this.levers.filter(l => mapRevealed[l.gridZ] && mapRevealed[l.gridZ][l.gridX]).map(l => ({
+                x: l.x, z: l.z, gridX: l.gridX, gridZ: l.gridZ, pulled: l.pulled,
+                door: l.door ? { gridX: l.door.gridX, gridZ: l.door.gridZ } : null
+            })),
+            // Rooms with any revealed interior cell; theme is null for plain rooms
+            rooms: this.rooms.filter(r => {
+                const { interior } = r;
+                for (let z = interior.z; z < interior.z + interior.h; z++)
+                    for (let x = interior.x; x < interior.x + interior.w; x++)
+                        if (mapRevealed[z] && mapRevealed[z][x]) return true;
+                return false;
+            }).map(r => ({
+                x: (r.interior.x + r.interior.w / 2) * cellSize,
+                z: (r.interior.z + r.interior.h / 2) * cellSize,
+                interior: { ...r.interior },
+                theme: r.theme || null
+            })),
+            loreBooks: this.loreBooks.filter(b => revealed(b.x, b.z)).map(b => ({ x: b.x, z: b.z, read: b.read })),
+            // Only traps the torch has revealed
+            traps: this.traps.filter(t => t.revealed)
+                .map(t => ({ x: t.x, z: t.z, gridX: t.gridX, gridZ: t.gridZ, type: t.type })),
+            stairs: stairs && revealed(stairs.x, stairs.z) ? { x: stairs.x, z: stairs.z } : null,
+            shrine: shrine && !game.shrineUsed && revealed(shrine.x, shrine.z) ? { x: shrine.x, z: shrine.z } : null,
+            map: this.map,
+            mapRevealed: mapRevealed,
+            mapSize: this.mapSize,
+            cellSize: cellSize
+        };
+    }
+}
+
+// Saves: a run's progress between sessions. The floor itself is not stored; it is rebuilt
+// from the run seed (floorSeed(seed, floor)) with the explored fog laid back over it.
+// {
+//   "format": "abyssal-save", "version": 1, "gameVersion": "2.3.2", "savedAt": "...",
+//   "seed": 12345, "floor": 3, "floorSeed": 2891336453, "maxMapSize": 36, "level": null,
+//   "stats": { "hp": 80, "maxHp": 120, "mp": 30, "maxMp": 60, "atk": 14, "kills": 21 },
+//   "items": ["potion", "torch"],
+//   "buffs": { "shieldLeft": 0, "poisonLeft": 0, "torchLeft": 41200 },   // ms
+//   "fog": { "memory": [[0, 0.7, ...], ...], "revealed": ["0011...", ...] }   // or null
+// }
+const SAVE_FORMAT = 'abyssal-save';
+const SAVE_FORMAT_VERSION = 1;
+
+// SAVE_MIGRATIONS[n] turns a version n save into a version n + 1 one. Add an entry whenever
+// SAVE_FORMAT_VERSION goes up; saves from a version with no way forward are rejected.
+const SAVE_MIGRATIONS = {};
+
+// Accepts a save as an object or JSON text, migrating older versions. Throws one Error
+// listing every problem found; otherwise returns a save ready for core.continueRun().
+function parseSave(data) {
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (e) {
+            throw new Error(`Save is not valid JSON: ${e.message}`);
+        }
+    }
+    if (!data || typeof data !== 'object' || data.format !== SAVE_FORMAT) {
+        throw new Error(`Not a save (format must be "${SAVE_FORMAT}")`);
+    }
+    if (!Number.isInteger(data.version) || data.version > SAVE_FORMAT_VERSION) {
+        throw new Error(`Save version ${JSON.stringify(data.version)} is not supported (this game reads up to ${SAVE_FORMAT_VERSION})`);
+    }
+    while (data.version < SAVE_FORMAT_VERSION) {
+        const migrate = SAVE_MIGRATIONS[data.version];
+        if (!migrate) throw new Error(`Save version ${data.version} is too old to continue`);
+        data = { ...migrate(data), version: data.version + 1 };
+    }
+
+    const errors = [];
+    const isCount = v => Number.isFinite(v) && v >= 0;
+    if (!Number.isInteger(data.seed) || data.seed < 0 || data.seed > 0xffffffff) errors.push('seed must be an unsigned 32-bit integer');
+    if (!Number.isInteger(data.floor) || data.floor < 1) errors.push('floor must be an integer of at least 1');
+    if (errors.length === 0 && data.floorSeed !== MapGen.floorSeed(data.seed, data.floor)) {
+        errors.push('floorSeed does not match seed and floor');
+    }
+    if (!Number.isInteger(data.maxMapSize) || data.maxMapSize < 36 || data.maxMapSize > 64) errors.push('maxMapSize must be an integer from 36 to 64');
+    const stats = data.stats || {};
+    for (const key of ['hp', 'maxHp', 'mp', 'maxMp', 'atk', 'kills']) {
+        if (!isCount(stats[key])) errors.push(`stats.${key} must be a non-negative number`);
+    }
+    if (!(stats.hp > 0) || stats.hp > stats.maxHp) errors.push('stats.hp must be above 0 and at most stats.maxHp');
+    if (!Array.isArray(data.items) || !data.items.every(item => LEVEL_ITEM_TYPES.includes(item))) {
+        errors.push(`items must list only: ${LEVEL_ITEM_TYPES.join(', ')}`);
+    }
+    const buffs = data.buffs || {};
+    for (const key of ['shieldLeft', 'poisonLeft', 'torchLeft']) {
+        if (!isCount(buffs[key])) errors.push(`buffs.${key} must be a non-negative number of ms`);
+    }
+    const { fog } = data;
+    if (fog !== null && fog !== undefined) {
+        const rows = fog.memory;
+        if (!Array.isArray(rows) || !rows.every(row => Array.isArray(row) && row.length === rows.length && row.every(v => v >= 0 && v <= 1))) {
+            errors.push('fog.memory must be a square grid of values from 0 to 1');
+        }
+        if (!Array.isArray(fog.revealed) || !fog.revealed.every(row => typeof row === 'string' && /^[01]*$/.test(row))) {
+            errors.push('fog.revealed must be rows of 0 and 1');
+        }
+    }
+    if (data.level) {
+        try {
+            parseLevelPack(data.level);
+        } catch (e) {
+            errors.push(e.message);
+        }
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid save:\n- ${errors.join('\n- ')}`);
+    }
+    return data;
+}
+
+// Replays: the start settings of a run and every input the core received, by tick. Since the
+// core is deterministic for a seed, feeding the same inputs at the same ticks plays the run
+// out exactly the same way, as long as the rules (GAME_VERSION) have not changed since.
+// {
+//   "format": "abyssal-replay", "version": 1, "gameVersion": "2.3.2",
+//   "seed": 12345, "depth": 1, "maxMapSize": 36, "placement": { ... }, "level": null,
+//   "save": null,                                          // the save a continued run began from
+//   "ticks": 5400, "result": { "floor": 2, "hp": 0, "kills": 14, "isPlaying": false },
+//   "events": [
+//     { "t": 0, "type": "keys", "keys": "w" },            // movement keys held from tick t on
+//     { "t": 12, "type": "look", "dAngle": 0.01, "dPitch": 0 },   // mouse, in radians
+//     { "t": 30, "type": "angle", "angle": 1.57 },        // scripted turn
+//     { "t": 31, "type": "attack" }, { "t": 40, "type": "interact" },
+//     { "t": 55, "type": "useItem", "index": 0 }, { "t": 60, "type": "inventory", "open": true }
+//   ]
+// }
+const REPLAY_FORMAT = 'abyssal-replay';
+const REPLAY_FORMAT_VERSION = 1;
+const REPLAY_EVENT_TYPES = ['keys', 'look', 'angle', 'attack', 'interact', 'useItem', 'inventory'];
+
+// Accepts a replay as an object or JSON text. Throws one Error listing every problem found;
+// a replay recorded with another GAME_VERSION is returned as is (check replay.gameVersion).
+function parseReplay(data) {
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (e) {
+            throw new Error(`Replay file is not valid JSON: ${e.message}`);
+        }
+    }
+    if (!data || typeof data !== 'object' || data.format !== REPLAY_FORMAT) {
+        throw new Error(`Not a replay file (format must be "${REPLAY_FORMAT}")`);
+    }
+    const errors = [];
+    if (data.version !== REPLAY_FORMAT_VERSION) {
+        errors.push(`version must be ${REPLAY_FORMAT_VERSION} (got ${JSON.stringify(data.version)})`);
+    }
+    if (!Number.isInteger(data.seed) || data.seed < 0 || data.seed > 0xffffffff) errors.push('seed must be an unsigned 32-bit integer');
+    if (!Number.isInteger(data.depth) || data.depth < 1) errors.push('depth must be an integer of at least 1');
+    if (!Number.isInteger(data.ticks) || data.ticks < 0) errors.push('ticks must be a non-negative integer');
+    if (!Array.isArray(data.events)) {
+        errors.push('events must be an array');
+    } else {
+        let last = 0;
+        data.events.forEach((e, i) => {
+            if (!e || !REPLAY_EVENT_TYPES.includes(e.type)) {
+                errors.push(`events[${i}].type must be one of: ${REPLAY_EVENT_TYPES.join(', ')}`);
+            }
+            if (!e || !Number.isInteger(e.t) || e.t < last || e.t > data.ticks) {
+                errors.push(`events[${i}].t must be a tick in order, up to ticks`);
+            } else {
+                last = e.t;
+            }
+        });
+    }
+    if (data.level) {
+        try {
+            parseLevelPack(data.level);
+        } catch (e) {
+            errors.push(e.message);
+        }
+    }
+    if (data.save) {
+        try {
+            data.save = parseSave(data.save);
+        } catch (e) {
+            errors.push(e.message);
+        }
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid replay:\n- ${errors.join('\n- ')}`);
+    }
+    return data;
+}
+
+// Plays a replay on a core: restart() sets the core up as the recorded run began and each
+// step() feeds the inputs due before the next tick, then steps it. Seeking backwards restarts
+// and fast-forwards, which is quick since the core runs without a renderer.
+class ReplayPlayer {
+    constructor(core, replay) {
+        this.core = core;
+        this.replay = replay;
+        this.restart();
+    }
+
+    restart() {
+        const { core, replay } = this;
+        core.setMaxMapSize(replay.maxMapSize);
+        core.placement = JSON.parse(JSON.stringify(replay.placement || PLACEMENT));
+        core.levelPack = replay.level || null;
+        core.start(replay.seed, replay.depth, replay.save || null);
+        this.next = 0;        // index of the first event not yet fed
+        this.keys = {};
+    }
+
+    get done() {
+        return this.core.tick >= this.replay.ticks;
+    }
+
+    step() {
+        const { core } = this;
+        const { events } = this.replay;
+        while (this.next < events.length && events[this.next].t <= core.tick) {
+            this.apply(events[this.next++]);
+        }
+        core.step(SIM_STEP, this.keys);
+    }
+
+    apply(event) {
+        const { core } = this;
+        switch (event.type) {
+            case 'keys':
+                this.keys = {};
+                for (const k of event.keys) this.keys[k] = true;
+                break;
+            case 'look':
+                core.look(event.dAngle, event.dPitch);
+                break;
+            case 'angle':
+                core.setAngle(event.angle);
+                break;
+            case 'attack':
+                core.attack();
+                break;
+            case 'interact':
+                core.interact();
+                break;
+            case 'useItem':
+                core.useItem(event.index);
+                break;
+            case 'inventory':
+                core.setInventoryOpen(event.open);
+                break;
+        }
+    }
+
+    // Run up to tick (clamped to the replay's length)
+    seek(tick) {
+        const target = Math.max(0, Math.min(tick, this.replay.ticks));
+        if (target < this.core.tick) this.restart();
+        while (this.core.tick < target) this.step();
+    }
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined') {
+    module.exports = {
+        GameCore, SIM_STEP, CELL_SIZE, ENEMY_TYPES, BOSS_TYPES, ROOM_THEMES, BIOMES, BIOME_BAND,
+        biomeForDepth, PLACEMENT, mergePlacement, LEVEL_FORMAT_VERSION, LEVEL_ITEM_TYPES,
+        validateLevel, parseLevelPack, levelToDungeon,
+        GAME_VERSION, REPLAY_FORMAT, REPLAY_FORMAT_VERSION, parseReplay, ReplayPlayer,
+        SAVE_FORMAT, SAVE_FORMAT_VERSION, SAVE_MIGRATIONS, parseSave
+    };
+}
@@ -0,0 +1,760 @@
+/**
+ * Abyssal Dungeon - Map Generator
+ *
+ * The one generator shared by the game (index.html), the map visualizer / level editor
+ * and the Node tools in test/. Loaded as a plain <script> in the browser, where its
+ * functions and classes become globals, and with require() in Node.
+ *
+ * Map cell values: -1=void, 0=floor, 1=wall, 2=door
+ */
+
+// Seeded PRNG (mulberry32) - every gameplay roll goes through this so runs are reproducible
+function createRng(seed) {
+    let a = seed >>> 0;
+    return function() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Accepts a number or any string (hashed with FNV-1a) and returns a uint32 seed
+function parseSeed(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (/^\d+$/.test(String(value))) return Number(value) >>> 0;
+    let h = 0x811c9dc5;
+    for (const ch of String(value)) {
+        h ^= ch.charCodeAt(0);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Each depth gets its own seed so "depth N, seed X" can be regenerated on its own
+function floorSeed(runSeed, depth) {
+    return (Math.imul(runSeed ^ 0x9E3779B9, 0x85EBCA6B) + Math.imul(depth, 0xC2B2AE35)) >>> 0;
+}
+
+// Irregular Map Generator
+class IrregularMapGenerator {
+    constructor(maxSize = 36, random = Math.random) {
+        this.maxSize = maxSize;
+        this.rng = random;
+    }
+
+    // preferredShapes: shape names picked more often when available at this depth (a biome's favorites)
+    generate(depth = 1, forceShape = null, preferredShapes = null) {
+        const maxAttempts = 20;
+        for (let attempt = 0; attempt < maxAttempts; attempt++) {
+            const result = this.tryGenerate(depth, forceShape, false, preferredShapes);
+            if (result) return result;
+        }
+        // Fallback: accept the last attempt even if it failed the connectivity check
+        return { ...this.tryGenerate(depth, forceShape, true, preferredShapes), forced: true };
+    }
+
+    tryGenerate(depth, forceShape, force = false, preferredShapes = null) {
+        const baseSize = Math.min(22 + depth * 2, this.maxSize);
+        const shapeType = forceShape || this.pickShape(depth, preferredShapes);
+
+        const map = Array.from({ length: this.maxSize }, () => Array(this.maxSize).fill(-1));
+        const mask = this.generateShape(shapeType, baseSize);
+        const offset = Math.floor((this.maxSize - baseSize) / 2);
+
+        for (let z = 0; z < baseSize; z++)
+            for (let x = 0; x < baseSize; x++)
+                if (mask[z][x]) map[z + offset][x + offset] = 0;
+
+        this.addBoundaryWalls(map);
+        const rooms = this.generateRooms(map, offset, baseSize, depth);
+        this.addObstacles(map, rooms);
+        this.ensureEnclosure(map);
+        this.validateDoors(map);
+
+        if (!force && !this.isFullyConnected(map)) return null;
+
+        // Carved after the connectivity check, so the main path never runs through them
+        const secrets = this.addSecretRooms(map, depth);
+        const traps = this.placeTraps(map, depth, this.hiddenCells(secrets));
+
+        return { map, rooms, secrets, traps, shape: shapeType, size: baseSize, forced: false };
+    }
+
+    generateShape(type, size) {
+        const shape = IrregularMapGenerator.shapes[type];
+        if (!shape) throw new Error(`Unknown map shape: ${type}`);
+        return shape.generate(size, this.rng);
+    }
+
+    // Any shape allowed at this depth; preferred ones are PREFERRED_WEIGHT times as likely
+    pickShape(depth, preferred = null) {
+        const shapes = IrregularMapGenerator.shapesForDepth(depth);
+        const weight = name => preferred && preferred.includes(name) ? IrregularMapGenerator.PREFERRED_WEIGHT : 1;
+        let r = this.rng() * shapes.reduce((sum, name) => sum + weight(name), 0);
+        for (const name of shapes) {
+            r -= weight(name);
+            if (r < 0) return name;
+        }
+        return shapes[shapes.length - 1];
+    }
+
+    // Register a layout family. generate(size, rng) returns a size x size boolean mask;
+    // minDepth / maxDepth limit the depths it is picked at (forceShape ignores them)
+    static registerShape(name, { generate, minDepth = 1, maxDepth = Infinity }) {
+        IrregularMapGenerator.shapes[name] = { generate, minDepth, maxDepth };
+    }
+
+    static shapesForDepth(depth) {
+        return Object.keys(IrregularMapGenerator.shapes).filter(name => {
+            const { minDepth, maxDepth } = IrregularMapGenerator.shapes[name];
+            return depth >= minDepth && depth <= maxDepth;
+        });
+    }
+
+    addBoundaryWalls(map) {
+        const changes = [];
+        for (let z = 0; z < this.maxSize; z++)
+            for (let x = 0; x < this.maxSize; x++)
+                if (map[z][x] === 0) {
+                    for (const [dz, dx] of [[0,-1], [0,1], [-1,0], [1,0]])
+                        if (map[z + dz]?.[x + dx] === -1) { changes.push({ z, x }); break; }
+                }
+        for (const c of changes) map[c.z][c.x] = 1;
+    }
+
+    generateRooms(map, offset, baseSize, depth) {
+        const rooms = [];
+        const roomCount = 3 + Math.floor(depth / 2);
+        for (let attempt = 0; attempt < roomCount * 50 && rooms.length < roomCount; attempt++) {
+            const room = this.tryPlaceRoom(map, offset, baseSize, rooms);
+            if (room) rooms.push(room);
+        }
+        return rooms;
+    }
+
+    tryPlaceRoom(map, offset, baseSize, existingRooms) {
+        const outerW = 5 + Math.floor(this.rng() * 4);
+        const outerH = 5 + Math.floor(this.rng() * 4);
+        const rx = offset + 1 + Math.floor(this.rng() * (baseSize - outerW - 2));
+        const rz = offset + 1 + Math.floor(this.rng() * (baseSize - outerH - 2));
+
+        for (let z = rz; z < rz + outerH; z++)
+            for (let x = rx; x < rx + outerW; x++)
+                if (map[z]?.[x] !== 0) return null;
+
+        for (const room of existingRooms) {
+            const r1 = { x: rx + 1, z: rz + 1, w: outerW - 2, h: outerH - 2 };
+            const r2 = room.interior;
+            if (r1.x < r2.x + r2.w + 2 && r1.x + r1.w + 2 > r2.x &&
+                r1.z < r2.z + r2.h + 2 && r1.z + r1.h + 2 > r2.z) return null;
+        }
+
+        const room = {
+            outer: { x: rx, z: rz, w: outerW, h: outerH },
+            interior: { x: rx + 1, z: rz + 1, w: outerW - 2, h: outerH - 2 },
+            doors: []
+        };
+
+        for (let x = rx; x < rx + outerW; x++) { map[rz][x] = 1; map[rz + outerH - 1][x] = 1; }
+        for (let z = rz; z < rz + outerH; z++) { map[z][rx] = 1; map[z][rx + outerW - 1] = 1; }
+
+        const doorCount = 1 + Math.floor(this.rng() * 2);
+        const edges = ['top', 'bottom', 'left', 'right'].sort(() => this.rng() - 0.5);
+        for (let i = 0; i < doorCount && i < edges.length; i++) {
+            const door = this.placeDoor(map, room, edges[i]);
+            if (door) room.doors.push(door);
+        }
+        return room;
+    }
+
+    placeDoor(map, room, edge) {
+        const { outer } = room;
+        let x, z, wallCheck1, wallCheck2;
+        switch (edge) {
+            case 'top':
+                x = outer.x + 2 + Math.floor(this.rng() * Math.max(1, outer.w - 4));
+                z = outer.z; wallCheck1 = { x: x-1, z }; wallCheck2 = { x: x+1, z }; break;
+            case 'bottom':
+                x = outer.x + 2 + Math.floor(this.rng() * Math.max(1, outer.w - 4));
+                z = outer.z + outer.h - 1; wallCheck1 = { x: x-1, z }; wallCheck2 = { x: x+1, z }; break;
+            case 'left':
+                x = outer.x; z = outer.z + 2 + Math.floor(this.rng() * Math.max(1, outer.h - 4));
+                wallCheck1 = { x, z: z-1 }; wallCheck2 = { x, z: z+1 }; break;
+            case 'right':
+                x = outer.x + outer.w - 1; z = outer.z + 2 + Math.floor(this.rng() * Math.max(1, outer.h - 4));
+                wallCheck1 = { x, z: z-1 }; wallCheck2 = { x, z: z+1 }; break;
+        }
+        if (map[wallCheck1.z]?.[wallCheck1.x] !== 1 || map[wallCheck2.z]?.[wallCheck2.x] !== 1) return null;
+        const outside = edge === 'top' ? { x, z: z-1 } : edge === 'bottom' ? { x, z: z+1 } :
+                        edge === 'left' ? { x: x-1, z } : { x: x+1, z };
+        if (map[outside.z]?.[outside.x] !== 0) return null;
+        map[z][x] = 2;
+        return { x, z, edge };
+    }
+
+    addObstacles(map, rooms) {
+        for (let attempt = 0; attempt < Math.floor(this.rng() * 3) * 20; attempt++) {
+            const x = 2 + Math.floor(this.rng() * (this.maxSize - 4));
+            const z = 2 + Math.floor(this.rng() * (this.maxSize - 4));
+            if (map[z][x] !== 0) continue;
+            let inRoom = false, nearDoor = false;
+            for (const room of rooms) {
+                const { interior } = room;
+                if (x >= interior.x && x < interior.x + interior.w &&
+                    z >= interior.z && z < interior.z + interior.h) { inRoom = true; break; }
+            }
+            if (inRoom) continue;
+            for (let dz = -1; dz <= 1 && !nearDoor; dz++)
+                for (let dx = -1; dx <= 1 && !nearDoor; dx++)
+                    if (map[z + dz]?.[x + dx] === 2) nearDoor = true;
+            if (!nearDoor) map[z][x] = 1;
+        }
+    }
+
+    ensureEnclosure(map) {
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (let z = 0; z < this.maxSize; z++)
+                for (let x = 0; x < this.maxSize; x++)
+                    if (map[z][x] === 0 || map[z][x] === 2) {
+                        if (z === 0 || z === this.maxSize - 1 || x === 0 || x === this.maxSize - 1) {
+                            map[z][x] = 1; changed = true; continue;
+                        }
+                        for (let dz = -1; dz <= 1; dz++)
+                            for (let dx = -1; dx <= 1; dx++) {
+                                if (dz === 0 && dx === 0) continue;
+                                const nz = z + dz, nx = x + dx;
+                                if (nz < 0 || nz >= this.maxSize || nx < 0 || nx >= this.maxSize) {
+                                    map[z][x] = 1; changed = true;
+                                } else if (map[nz][nx] === -1) {
+                                    map[nz][nx] = 1; changed = true;
+                                }
+                            }
+                    }
+        }
+    }
+
+    validateDoors(map) {
+        for (const { x, z } of this.invalidDoors(map)) map[z][x] = 1;
+    }
+
+    // Doors without walls on two opposite sides; validateDoors turns them back into walls
+    invalidDoors(map) {
+        const bad = [];
+        for (let z = 1; z < this.maxSize - 1; z++)
+            for (let x = 1; x < this.maxSize - 1; x++)
+                if (map[z][x] === 2) {
+                    const up = map[z-1]?.[x], down = map[z+1]?.[x];
+                    const left = map[z]?.[x-1], right = map[z]?.[x+1];
+                    if (!((left === 1 && right === 1) || (up === 1 && down === 1))) bad.push({ x, z });
+                }
+        return bad;
+    }
+
+    // optional: Set of "x,z" cells that need not be reached (secret room interiors)
+    isFullyConnected(map, optional = null) {
+        let walkable = 0;
+        for (let z = 0; z < this.maxSize; z++)
+            for (let x = 0; x < this.maxSize; x++)
+                if ((map[z][x] === 0 || map[z][x] === 2) && !optional?.has(`${x},${z}`)) walkable++;
+        if (walkable === 0) return false;
+        return this.distancesFrom(map, null, optional).size === walkable;
+    }
+
+    // BFS step counts over floor/door cells as a Map of "x,z" -> distance. Starts at the
+    // first walkable cell when start is null; optional cells are treated as solid.
+    distancesFrom(map, start = null, optional = null) {
+        const open = (x, z) => (map[z]?.[x] === 0 || map[z]?.[x] === 2) && !optional?.has(`${x},${z}`);
+        if (!start) {
+            for (let z = 0; z < this.maxSize && !start; z++)
+                for (let x = 0; x < this.maxSize && !start; x++)
+                    if (open(x, z)) start = { x, z };
+        }
+        const dist = new Map();
+        if (!start || !open(start.x, start.z)) return dist;
+
+        dist.set(`${start.x},${start.z}`, 0);
+        const queue = [start];
+        while (queue.length > 0) {
+            const { x, z } = queue.shift();
+            const d = dist.get(`${x},${z}`);
+            for (const [dx, dz] of [[0,-1], [0,1], [-1,0], [1,0]]) {
+                const nx = x + dx, nz = z + dz, key = `${nx},${nz}`;
+                if (!dist.has(key) && open(nx, nz)) {
+                    dist.set(key, d + 1); queue.push({ x: nx, z: nz });
+                }
+            }
+        }
+        return dist;
+    }
+
+    // Carve small loot rooms into solid rock, each reached through a single secret wall
+    // cell that stays 1 in the map until the game opens it. Returns [{ x, z, kind, room }].
+    addSecretRooms(map, depth) {
+        const secrets = [];
+        const wanted = depth >= 3 ? 2 : 1;
+        const isRock = (x, z) => map[z]?.[x] === 1 || map[z]?.[x] === -1;
+        for (let attempt = 0; attempt < 300 && secrets.length < wanted; attempt++) {
+            const x = 1 + Math.floor(this.rng() * (this.maxSize - 2));
+            const z = 1 + Math.floor(this.rng() * (this.maxSize - 2));
+            const [dx, dz] = [[0,-1], [0,1], [-1,0], [1,0]][Math.floor(this.rng() * 4)];
+            // A straight wall segment with open floor in front of it
+            if (map[z][x] !== 1 || map[z - dz]?.[x - dx] !== 0) continue;
+            if (map[z + dx]?.[x + dz] !== 1 || map[z - dx]?.[x - dz] !== 1) continue;
+
+            // Interior starts right behind the wall cell, shifted sideways at random
+            const w = 2 + Math.floor(this.rng() * 2), h = 2 + Math.floor(this.rng() * 2);
+            const rx = dx > 0 ? x + 1 : dx < 0 ? x - w : x - Math.floor(this.rng() * w);
+            const rz = dz > 0 ? z + 1 : dz < 0 ? z - h : z - Math.floor(this.rng() * h);
+            if (rx < 2 || rz < 2 || rx + w > this.maxSize - 2 || rz + h > this.maxSize - 2) continue;
+
+            // Interior plus its ring must be rock, so nothing else can leak in
+            let solid = true;
+            for (let zz = rz - 1; zz <= rz + h && solid; zz++)
+                for (let xx = rx - 1; xx <= rx + w && solid; xx++)
+                    if (!isRock(xx, zz)) solid = false;
+            if (!solid) continue;
+
+            for (let zz = rz - 1; zz <= rz + h; zz++)
+                for (let xx = rx - 1; xx <= rx + w; xx++) {
+                    const inside = xx >= rx && xx < rx + w && zz >= rz && zz < rz + h;
+                    map[zz][xx] = inside ? 0 : 1;
+                }
+            secrets.push({
+                x, z,
+                kind: this.rng() < 0.5 ? 'breakable' : 'illusory',
+                room: { x: rx, z: rz, w, h }
+            });
+        }
+        return secrets;
+    }
+
+    // Scatter floor traps away from doors. Pits never sit on a chokepoint, so the floor
+    // stays connected around them (planDoorPuzzles keeps it so once doors lock); pressure
+    // plates get the wall cell their arrow flies from.
+    // Returns [{ x, z, type, from?, dir? }].
+    placeTraps(map, depth, optional = null) {
+        const types = ['spikes'];
+        if (depth >= 2) types.push('poison', 'plate');
+        if (depth >= 3) types.push('pit');
+        const wanted = Math.min(2 + depth, 10);
+        const traps = [];
+        const taken = new Set();
+        for (let attempt = 0; attempt < wanted * 30 && traps.length < wanted; attempt++) {
+            const x = 1 + Math.floor(this.rng() * (this.maxSize - 2));
+            const z = 1 + Math.floor(this.rng() * (this.maxSize - 2));
+            const type = types[Math.floor(this.rng() * types.length)];
+            if (map[z][x] !== 0 || optional?.has(`${x},${z}`)) continue;
+
+            // Keep doorways and other traps clear
+            let crowded = false;
+            for (let dz = -1; dz <= 1 && !crowded; dz++)
+                for (let dx = -1; dx <= 1 && !crowded; dx++)
+                    if (map[z + dz]?.[x + dx] === 2 || taken.has(`${x + dx},${z + dz}`)) crowded = true;
+            if (crowded) continue;
+
+            const trap = { x, z, type };
+            if (type === 'pit') {
+                // Check with every pit so far filled in, since two pits can cut a corridor together
+                const pits = [trap, ...traps.filter(t => t.type === 'pit')];
+                pits.forEach(p => map[p.z][p.x] = 1);
+                const bypassed = this.isFullyConnected(map, optional);
+                pits.forEach(p => map[p.z][p.x] = 0);
+                if (!bypassed) continue;
+            } else if (type === 'plate') {
+                // Launcher: a wall 2-6 cells away in a straight, open line
+                for (const [dx, dz] of [[0,-1], [0,1], [-1,0], [1,0]].sort(() => this.rng() - 0.5)) {
+                    let dist = 1;
+                    while (dist <= 6 && map[z + dz * dist]?.[x + dx * dist] === 0) dist++;
+                    if (dist >= 2 && dist <= 6 && map[z + dz * dist]?.[x + dx * dist] === 1) {
+                        trap.from = { x: x + dx * dist, z: z + dz * dist };
+                        trap.dir = { dx: -dx, dz: -dz };
+                        break;
+                    }
+                }
+                if (!trap.from) continue;
+            }
+            taken.add(`${x},${z}`);
+            traps.push(trap);
+        }
+        return traps;
+    }
+
+    // "x,z" keys of every secret room interior cell
+    hiddenCells(secrets) {
+        const cells = new Set();
+        for (const { room } of secrets || [])
+            for (let z = room.z; z < room.z + room.h; z++)
+                for (let x = room.x; x < room.x + room.w; x++) cells.add(`${x},${z}`);
+        return cells;
+    }
+
+    // Turn some doors into locked doors, lever portcullises and one-way doors.
+    // A key or lever is only placed where it can be reached without the door it opens,
+    // so the floor stays solvable from `start`. Reserved pits (placeTraps) count as solid
+    // throughout, so no door can leave a pit as the only way on. Returns { doors, keys, levers }.
+    planDoorPuzzles(map, depth, start, reserved = [], optional = null) {
+        const pits = reserved.filter(c => c.type === 'pit');
+        pits.forEach(p => map[p.z][p.x] = 1);
+        const doors = [], keys = [], levers = [];
+        const taken = new Set([start, ...reserved].map(c => `${c.x},${c.z}`));
+        const candidates = [];
+        for (let z = 0; z < this.maxSize; z++)
+            for (let x = 0; x < this.maxSize; x++)
+                if (map[z][x] === 2) candidates.push({ x, z });
+        for (let i = candidates.length - 1; i > 0; i--) {
+            const j = Math.floor(this.rng() * (i + 1));
+            [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+        }
+
+        // One-way doors go last so no later lock can cut the detour that makes them safe
+        const colors = ['red', 'blue', 'green'];
+        const plan = [];
+        for (let i = 0; i < Math.min(colors.length, Math.ceil(depth / 2)); i++) plan.push('locked');
+        if (depth >= 2) plan.push('portcullis');
+        if (depth >= 3) plan.push('oneWay');
+
+        for (const kind of plan) {
+            for (let i = 0; i < candidates.length; i++) {
+                const door = { x: candidates[i].x, z: candidates[i].z, kind };
+                if (kind === 'oneWay') {
+                    door.dir = this.pickOneWayDir(map, door, doors);
+                    if (!door.dir) continue;
+                    doors.push(door);
+                } else {
+                    if (kind === 'locked') door.color = colors[keys.length];
+                    doors.push(door);
+                    const { reached } = this.solveDoors(map, start, doors, keys, levers);
+                    const spots = [];
+                    for (const cellKey of reached) {
+                        const [x, z] = cellKey.split(',').map(Number);
+                        if (map[z][x] !== 0 || taken.has(cellKey)) continue;
+                        // Levers are mounted on a wall
+                        if (kind === 'portcullis' && ![[0,-1],[0,1],[-1,0],[1,0]].some(([dx, dz]) => map[z + dz]?.[x + dx] === 1)) continue;
+                        spots.push({ x, z });
+                    }
+                    if (spots.length === 0) { doors.pop(); continue; }
+                    const spot = spots[Math.floor(this.rng() * spots.length)];
+                    taken.add(`${spot.x},${spot.z}`);
+                    if (kind === 'locked') keys.push({ ...spot, color: door.color });
+                    else levers.push({ ...spot, door: doors.length - 1 });
+                }
+                candidates.splice(i, 1);
+                break;
+            }
+        }
+
+        const solvable = this.isSolvable(map, start, doors, keys, levers, optional);
+        pits.forEach(p => map[p.z][p.x] = 0);
+        return solvable ? { doors, keys, levers } : { doors: [], keys: [], levers: [] };
+    }
+
+    // A one-way door is only safe when both of its sides stay connected without it
+    // (and without any other special door), so the player can always walk back around.
+    pickOneWayDir(map, door, specialDoors) {
+        const { x, z } = door;
+        const dirs = map[z][x - 1] === 1 && map[z][x + 1] === 1 ? [{ dx: 0, dz: 1 }, { dx: 0, dz: -1 }]
+                                                                  : [{ dx: 1, dz: 0 }, { dx: -1, dz: 0 }];
+        const a = { x: x + dirs[0].dx, z: z + dirs[0].dz }, b = { x: x - dirs[0].dx, z: z - dirs[0].dz };
+        if (map[a.z]?.[a.x] !== 0 || map[b.z]?.[b.x] !== 0) return null;
+
+        const blocked = new Set([`${x},${z}`, ...specialDoors.map(d => `${d.x},${d.z}`)]);
+        const visited = new Set([`${a.x},${a.z}`]);
+        const queue = [a];
+        while (queue.length > 0) {
+            const cur = queue.shift();
+            if (cur.x === b.x && cur.z === b.z) return dirs[Math.floor(this.rng() * 2)];
+            for (const [dx, dz] of [[0,-1], [0,1], [-1,0], [1,0]]) {
+                const nx = cur.x + dx, nz = cur.z + dz, key = `${nx},${nz}`;
+                if (visited.has(key) || blocked.has(key)) continue;
+                if (map[nz]?.[nx] !== 0 && map[nz]?.[nx] !== 2) continue;
+                visited.add(key); queue.push({ x: nx, z: nz });
+            }
+        }
+        return null;
+    }
+
+    // Walk the floor like a player would: pick up every reachable key and lever, open what
+    // they unlock and repeat until nothing changes. Returns the reached cells and what was used.
+    solveDoors(map, start, doors, keys, levers) {
+        const doorAt = new Map(doors.map((d, i) => [`${d.x},${d.z}`, i]));
+        const held = new Set(), pulled = new Set();
+        const canStep = (from, dx, dz) => {
+            const leaving = doorAt.get(`${from.x},${from.z}`);
+            if (leaving !== undefined && doors[leaving].kind === 'oneWay' &&
+                (doors[leaving].dir.dx !== dx || doors[leaving].dir.dz !== dz)) return false;
+            const entering = doorAt.get(`${from.x + dx},${from.z + dz}`);
+            if (entering === undefined) return true;
+            const door = doors[entering];
+            if (door.kind === 'locked') return held.has(door.color);
+            if (door.kind === 'portcullis') return pulled.has(entering);
+            if (door.kind === 'oneWay') return door.dir.dx === dx && door.dir.dz === dz;
+            return true;
+        };
+
+        let reached;
+        for (;;) {
+            reached = new Set([`${start.x},${start.z}`]);
+            const queue = [start];
+            while (queue.length > 0) {
+                const cur = queue.shift();
+                for (const [dx, dz] of [[0,-1], [0,1], [-1,0], [1,0]]) {
+                    const nx = cur.x + dx, nz = cur.z + dz, key = `${nx},${nz}`;
+                    if (reached.has(key) || (map[nz]?.[nx] !== 0 && map[nz]?.[nx] !== 2)) continue;
+                    if (!canStep(cur, dx, dz)) continue;
+                    reached.add(key); queue.push({ x: nx, z: nz });
+                }
+            }
+            const before = held.size + pulled.size;
+            for (const k of keys) if (reached.has(`${k.x},${k.z}`)) held.add(k.color);
+            for (const l of levers) if (reached.has(`${l.x},${l.z}`)) pulled.add(l.door);
+            if (held.size + pulled.size === before) break;
+        }
+        return { reached, held, pulled };
+    }
+
+    isSolvable(map, start, doors, keys, levers, optional = null) {
+        const { reached, held, pulled } = this.solveDoors(map, start, doors, keys, levers);
+        if (held.size !== keys.length || pulled.size !== levers.length) return false;
+        for (let z = 0; z < this.maxSize; z++)
+            for (let x = 0; x < this.maxSize; x++) {
+                const key = `${x},${z}`;
+                if ((map[z][x] === 0 || map[z][x] === 2) && !reached.has(key) && !optional?.has(key)) return false;
+            }
+        return true;
+    }
+}
+
+// Shape registry - each family builds a mask; the generator adds walls, rooms and doors on top
+IrregularMapGenerator.shapes = {};
+IrregularMapGenerator.PREFERRED_WEIGHT = 3;
+
+function emptyMask(size) {
+    return Array.from({ length: size }, () => Array(size).fill(false));
+}
+
+// Paint a filled disc into the mask (clipped to the mask bounds)
+function paintDisc(mask, cx, cz, radius) {
+    const size = mask.length;
+    for (let z = Math.max(0, Math.floor(cz - radius)); z <= Math.min(size - 1, Math.ceil(cz + radius)); z++)
+        for (let x = Math.max(0, Math.floor(cx - radius)); x <= Math.min(size - 1, Math.ceil(cx + radius)); x++)
+            if ((x - cx) ** 2 + (z - cz) ** 2 <= radius * radius) mask[z][x] = true;
+}
+
+// Paint a thick straight corridor between two points
+function paintLine(mask, x0, z0, x1, z1, halfWidth) {
+    const steps = Math.max(1, Math.ceil(Math.hypot(x1 - x0, z1 - z0) * 2));
+    for (let i = 0; i <= steps; i++) {
+        const t = i / steps;
+        paintDisc(mask, x0 + (x1 - x0) * t, z0 + (z1 - z0) * t, halfWidth);
+    }
+}
+
+IrregularMapGenerator.registerShape('blob', {
+    generate(size, rng) {
+        const mask = emptyMask(size);
+        const cx = size / 2, cz = size / 2, r = size / 2 - 2;
+        const seed = rng() * 100;
+        for (let z = 0; z < size; z++)
+            for (let x = 0; x < size; x++) {
+                const dx = x - cx, dz = z - cz;
+                const dist = Math.sqrt(dx*dx + dz*dz);
+                const angle = Math.atan2(dz, dx);
+                if (dist < r * (0.7 + 0.3 * Math.sin(angle*3 + seed) * Math.cos(angle*2 + seed*0.7)))
+                    mask[z][x] = true;
+            }
+        return mask;
+    }
+});
+
+IrregularMapGenerator.registerShape('L', {
+    generate(size, rng) {
+        const mask = emptyMask(size);
+        const arm = Math.floor(size * 0.5);
+        const rot = Math.floor(rng() * 4);
+        for (let z = 0; z < size; z++)
+            for (let x = 0; x < size; x++) {
+                let inShape = rot === 0 ? (x < arm || z >= size - arm) :
+                              rot === 1 ? (x >= size - arm || z >= size - arm) :
+                              rot === 2 ? (x >= size - arm || z < arm) : (x < arm || z < arm);
+                if (inShape) mask[z][x] = true;
+            }
+        return mask;
+    }
+});
+
+IrregularMapGenerator.registerShape('cross', {
+    generate(size) {
+        const mask = emptyMask(size);
+        const cx = size / 2, cz = size / 2;
+        const arm = Math.floor(size * 0.35);
+        for (let z = 0; z < size; z++)
+            for (let x = 0; x < size; x++)
+                if ((x >= cx - arm/2 && x < cx + arm/2) || (z >= cz - arm/2 && z < cz + arm/2))
+                    mask[z][x] = true;
+        return mask;
+    }
+});
+
+IrregularMapGenerator.registerShape('donut', {
+    generate(size) {
+        const mask = emptyMask(size);
+        const cx = size / 2, cz = size / 2, r = size / 2 - 2;
+        const outer = r + 2, inner = r * 0.3;
+        for (let z = 0; z < size; z++)
+            for (let x = 0; x < size; x++) {
+                const d = Math.sqrt((x-cx)**2 + (z-cz)**2);
+                if (d < outer && d > inner) mask[z][x] = true;
+            }
+        return mask;
+    }
+});
+
+IrregularMapGenerator.registerShape('caves', {
+    generate(size, rng) {
+        const mask = emptyMask(size);
+        const cx = size / 2, cz = size / 2, r = size / 2 - 2;
+        for (let z = 1; z < size-1; z++)
+            for (let x = 1; x < size-1; x++)
+                if (Math.sqrt((x-cx)**2 + (z-cz)**2) < r + 2)
+                    mask[z][x] = rng() < 0.55;
+        for (let i = 0; i < 5; i++) {
+            const next = mask.map(row => [...row]);
+            for (let z = 1; z < size-1; z++)
+                for (let x = 1; x < size-1; x++) {
+                    let n = 0;
+                    for (let dz = -1; dz <= 1; dz++)
+                        for (let dx = -1; dx <= 1; dx++)
+                            if (mask[z+dz]?.[x+dx]) n++;
+                    next[z][x] = n >= 5;
+                }
+            for (let z = 0; z < size; z++)
+                for (let x = 0; x < size; x++)
+                    mask[z][x] = next[z][x];
+        }
+        return mask;
+    }
+});
+
+// Archimedean spiral corridor wound around a central hub
+IrregularMapGenerator.registerShape('spiral', {
+    minDepth: 2,
+    generate(size, rng) {
+        const mask = emptyMask(size);
+        const c = size / 2, r = size / 2 - 1;
+        const turns = 1.5;
+        const pitch = r / (turns + 0.5);
+        const halfWidth = (pitch - 2) / 2;
+        const phase = rng() * Math.PI * 2;
+        const dir = rng() < 0.5 ? 1 : -1;
+        paintDisc(mask, c, c, pitch * 0.8);
+        for (let z = 0; z < size; z++)
+            for (let x = 0; x < size; x++) {
+                const dx = x + 0.5 - c, dz = z + 0.5 - c;
+                const d = Math.sqrt(dx*dx + dz*dz);
+                let t = (dir * Math.atan2(dz, dx) + phase) / (Math.PI * 2);
+                t -= Math.floor(t);
+                const along = t + Math.round(d / pitch - 0.5 - t);
+                if (along < 0 || along > turns) continue;
+                if (Math.abs(d - (along + 0.5) * pitch) <= halfWidth) mask[z][x] = true;
+            }
+        return mask;
+    }
+});
+
+// Islands of floor joined by narrow bridges
+IrregularMapGenerator.registerShape('archipelago', {
+    minDepth: 3,
+    generate(size, rng) {
+        const mask = emptyMask(size);
+        const islands = [];
+        const target = 3 + Math.floor(rng() * 3);
+        for (let attempt = 0; attempt < 200 && islands.length < target; attempt++) {
+            const radius = 3.5 + rng() * 2.5;
+            const x = radius + 1 + rng() * (size - 2 * radius - 2);
+            const z = radius + 1 + rng() * (size - 2 * radius - 2);
+            if (islands.every(i => Math.hypot(i.x - x, i.z - z) > i.radius + radius + 3))
+                islands.push({ x, z, radius });
+        }
+        for (const island of islands) paintDisc(mask, island.x, island.z, island.radius);
+        // Bridge every island to its nearest predecessor so the chain stays connected
+        for (let i = 1; i < islands.length; i++) {
+            let nearest = islands[0];
+            for (let j = 1; j < i; j++)
+                if (Math.hypot(islands[j].x - islands[i].x, islands[j].z - islands[i].z) <
+                    Math.hypot(nearest.x - islands[i].x, nearest.z - islands[i].z)) nearest = islands[j];
+            paintLine(mask, islands[i].x, islands[i].z, nearest.x, nearest.z, 1.6);
+        }
+        return mask;
+    }
+});
+
+// Square chambers evenly spaced on a ring, each linked to its neighbours
+IrregularMapGenerator.registerShape('chambers', {
+    minDepth: 2,
+    generate(size, rng) {
+        const mask = emptyMask(size);
+        const c = size / 2;
+        const count = 4 + Math.floor(rng() * 3);
+        const half = Math.min(4.5, size * 0.15);
+        const ring = c - half - 1.5;
+        const phase = rng() * Math.PI * 2;
+        const centers = [];
+        for (let i = 0; i < count; i++) {
+            const a = phase + (i / count) * Math.PI * 2;
+            centers.push({ x: c + Math.cos(a) * ring, z: c + Math.sin(a) * ring });
+        }
+        for (const { x: cx, z: cz } of centers)
+            for (let z = Math.floor(cz - half); z < Math.ceil(cz + half); z++)
+                for (let x = Math.floor(cx - half); x < Math.ceil(cx + half); x++)
+                    if (mask[z]?.[x] !== undefined) mask[z][x] = true;
+        for (let i = 0; i < count; i++) {
+            const a = centers[i], b = centers[(i + 1) % count];
+            paintLine(mask, a.x, a.z, b.x, b.z, 2);
+        }
+        return mask;
+    }
+});
+
+// Mirror-symmetric cathedral: nave, transept, apse and pillared aisles
+IrregularMapGenerator.registerShape('cathedral', {
+    minDepth: 3,
+    generate(size, rng) {
+        const mask = emptyMask(size);
+        const c = size / 2;
+        const naveHalf = Math.floor(size * (0.14 + rng() * 0.05));
+        const aisle = 4;
+        const top = 2 + Math.floor(size * 0.18), bottom = size - 2;
+        const transeptZ = top + 2 + Math.floor(rng() * 3);
+        const transeptHalf = Math.floor(size * 0.42);
+        const transeptDepth = 6 + Math.floor(rng() * 2);
+        for (let z = 0; z < size; z++)
+            for (let x = 0; x < size; x++) {
+                const ox = Math.abs(x + 0.5 - c);
+                const inNave = ox < naveHalf + aisle && z >= top && z < bottom;
+                const inTransept = ox < transeptHalf && z >= transeptZ && z < transeptZ + transeptDepth;
+                const inApse = z < top && Math.hypot(ox, z + 0.5 - top) < naveHalf + aisle - 0.5;
+                if (inNave || inTransept || inApse) mask[z][x] = true;
+            }
+        // Pillar rows between nave and aisles; a void cell becomes a wall pillar
+        const pillarX = Math.floor(c - naveHalf);
+        for (let z = transeptZ + transeptDepth + 2; z < bottom - 3; z += 4) mask[z][pillarX] = false;
+        // Mirror the left half so the layout is exactly symmetric
+        for (let z = 0; z < size; z++)
+            for (let x = 0; x < size / 2; x++)
+                mask[z][size - 1 - x] = mask[z][x];
+        return mask;
+    }
+});
+
+// Export for Node.js
+if (typeof module !== 'undefined') {
+    module.exports = { IrregularMapGenerator, createRng, parseSeed, randomSeed, floorSeed };
+}
@@ -0,0 +1,280 @@
+/**
+ * Abyssal Dungeon - Sound
+ *
+ * Sound effects synthesized on the Web Audio API, with no audio files: one-shots for what
+ * the player does and what the game core reports, and positional ones placed in the
+ * dungeon around a listener that follows the camera. Enemies give themselves away with
+ * calls and footsteps that carry through walls, muffled when there is no open line
+ * between them and the player. index.html plays effects from core events and keeps the
+ * listener and the enemy calls up to date each frame. Loaded as a plain <script> after
+ * game-core.js.
+ *
+ * Browsers only start audio after a click, tap or key press, so nothing plays until
+ * unlock() is called from one; without Web Audio every call is a silent no-op.
+ */
+
+// Each effect is a list of voices started together (or after their delay, in seconds).
+// A voice is an oscillator wave ('sine' | 'square' | 'sawtooth' | 'triangle') gliding
+// from freq[0] to freq[1] Hz, or 'noise'; it can pass through a filter
+// [type, startHz, endHz, q] and fades out exponentially over its duration.
+const SOUND_EFFECTS = {
+    // The player
+    attack:    [{ wave: 'noise', duration: 0.18, gain: 0.35, filter: ['bandpass', 2600, 500, 1.2] }],
+    hit:       [{ wave: 'square', freq: [220, 70], duration: 0.12, gain: 0.2 },
+                { wave: 'noise', duration: 0.08, gain: 0.3, filter: ['lowpass', 2200, 400] }],
+    backstab:  [{ wave: 'sawtooth', freq: [880, 180], duration: 0.3, gain: 0.18 },
+                { wave: 'noise', duration: 0.12, gain: 0.35, filter: ['lowpass', 3000, 500] }],
+    combo:     [{ wave: 'triangle', freq: [660, 990], duration: 0.14, gain: 0.18 }],
+    hurt:      [{ wave: 'sawtooth', freq: [160, 55], duration: 0.25, gain: 0.3, filter: ['lowpass', 1200, 300] }],
+    heal:      [{ wave: 'sine', freq: [440, 880], duration: 0.35, gain: 0.18 }],
+    dodge:     [{ wave: 'noise', duration: 0.3, gain: 0.25, filter: ['highpass', 700, 4000] }],
+    pickup:    [{ wave: 'sine', freq: [660, 660], duration: 0.09, gain: 0.18 },
+                { wave: 'sine', freq: [990, 990], duration: 0.16, gain: 0.18, delay: 0.07 }],
+    key:       [{ wave: 'triangle', freq: [784, 784], duration: 0.12, gain: 0.2 },
+                { wave: 'triangle', freq: [988, 988], duration: 0.12, gain: 0.2, delay: 0.09 },
+                { wave: 'triangle', freq: [1319, 1319], duration: 0.3, gain: 0.2, delay: 0.18 }],
+    shrine:    [{ wave: 'sine', freq: [523, 523], duration: 1.4, gain: 0.12 },
+                { wave: 'sine', freq: [659, 659], duration: 1.3, gain: 0.12, delay: 0.12 },
+                { wave: 'sine', freq: [784, 784], duration: 1.2, gain: 0.12, delay: 0.24 },
+                { wave: 'sine', freq: [1047, 1047], duration: 1.1, gain: 0.08, delay: 0.36 }],
+    descend:   [{ wave: 'sine', freq: [90, 40], duration: 1.2, gain: 0.35 },
+                { wave: 'noise', duration: 1.0, gain: 0.15, filter: ['lowpass', 500, 80] }],
+    death:     [{ wave: 'sawtooth', freq: [220, 40], duration: 1.6, gain: 0.25, filter: ['lowpass', 1500, 150] },
+                { wave: 'sine', freq: [110, 30], duration: 2.2, gain: 0.3 }],
+
+    // Placed in the dungeon
+    door:      [{ wave: 'sawtooth', freq: [75, 58], duration: 0.7, gain: 0.12, filter: ['lowpass', 450, 200] },
+                { wave: 'noise', duration: 0.55, gain: 0.15, filter: ['bandpass', 320, 140, 2] }],
+    kill:      [{ wave: 'noise', duration: 0.4, gain: 0.3, filter: ['lowpass', 1600, 90] },
+                { wave: 'square', freq: [180, 45], duration: 0.3, gain: 0.1 }],
+    arrow:     [{ wave: 'noise', duration: 0.25, gain: 0.3, filter: ['bandpass', 4200, 1400, 4] },
+                { wave: 'triangle', freq: [420, 380], duration: 0.1, gain: 0.12 }],
+    bolt:      [{ wave: 'square', freq: [900, 180], duration: 0.45, gain: 0.12, filter: ['lowpass', 3000, 600] },
+                { wave: 'noise', duration: 0.35, gain: 0.15, filter: ['bandpass', 1200, 400, 3] }],
+    telegraph: [{ wave: 'sawtooth', freq: [110, 440], duration: 1.2, gain: 0.15, filter: ['lowpass', 500, 3000] },
+                { wave: 'sine', freq: [55, 110], duration: 1.2, gain: 0.2 }],
+    block:     [{ wave: 'square', freq: [1500, 1300], duration: 0.12, gain: 0.12, filter: ['bandpass', 2500, 2000, 3] },
+                { wave: 'noise', duration: 0.1, gain: 0.25, filter: ['highpass', 3000, 5000] }],
+    fuse:      [{ wave: 'noise', duration: 1.5, gain: 0.15, filter: ['highpass', 3000, 6000] }],
+    explosion: [{ wave: 'noise', duration: 1.2, gain: 0.6, filter: ['lowpass', 1800, 60] },
+                { wave: 'sine', freq: [80, 30], duration: 0.9, gain: 0.6 }],
+    raise:     [{ wave: 'sawtooth', freq: [70, 140], duration: 1.1, gain: 0.15, filter: ['lowpass', 400, 1400] },
+                { wave: 'noise', duration: 0.6, gain: 0.2, filter: ['bandpass', 2800, 2800, 6], delay: 0.5 }],
+    bossPhase: [{ wave: 'sawtooth', freq: [60, 240], duration: 1.4, gain: 0.2, filter: ['lowpass', 300, 2500] },
+                { wave: 'square', freq: [120, 60], duration: 1.0, gain: 0.12, filter: ['lowpass', 800, 200], delay: 0.3 },
+                { wave: 'noise', duration: 0.8, gain: 0.25, filter: ['lowpass', 1200, 100], delay: 0.3 }],
+
+    // Enemy calls and footsteps
+    skeleton:  [{ wave: 'noise', duration: 0.04, gain: 0.25, filter: ['bandpass', 3000, 3000, 8] },
+                { wave: 'noise', duration: 0.04, gain: 0.2, filter: ['bandpass', 2400, 2400, 8], delay: 0.09 },
+                { wave: 'noise', duration: 0.05, gain: 0.22, filter: ['bandpass', 3400, 3400, 8], delay: 0.17 }],
+    slime:     [{ wave: 'sine', freq: [320, 90], duration: 0.25, gain: 0.3, filter: ['lowpass', 900, 300] }],
+    wraith:    [{ wave: 'noise', duration: 1.5, gain: 0.14, filter: ['bandpass', 600, 1500, 6] },
+                { wave: 'sine', freq: [330, 300], duration: 1.5, gain: 0.05 }],
+    golem:     [{ wave: 'sine', freq: [62, 34], duration: 0.35, gain: 0.6 },
+                { wave: 'noise', duration: 0.2, gain: 0.3, filter: ['lowpass', 320, 80] }],
+    armor:     [{ wave: 'square', freq: [1100, 1050], duration: 0.06, gain: 0.08, filter: ['bandpass', 2200, 2200, 4] },
+                { wave: 'sine', freq: [70, 50], duration: 0.2, gain: 0.3 }],
+    bomber:    [{ wave: 'triangle', freq: [500, 750], duration: 0.08, gain: 0.15 },
+                { wave: 'triangle', freq: [520, 800], duration: 0.08, gain: 0.15, delay: 0.12 }],
+    necromancer: [{ wave: 'sawtooth', freq: [110, 104], duration: 1.4, gain: 0.1, filter: ['lowpass', 600, 400] },
+                  { wave: 'sine', freq: [165, 156], duration: 1.4, gain: 0.1 }],
+    boss:      [{ wave: 'sawtooth', freq: [58, 44], duration: 1.3, gain: 0.2, filter: ['lowpass', 320, 150] }]
+};
+
+// How often each enemy type is heard while in earshot, [min, max] seconds apart. Golems
+// and shieldbearers are heard by their footsteps, so only while they move. Types not listed
+// are silent.
+const ENEMY_SOUNDS = {
+    skeleton: { effect: 'skeleton', every: [2, 4] },
+    slime:    { effect: 'slime', every: [1.5, 3] },
+    wraith:   { effect: 'wraith', every: [3, 6] },
+    golem:    { effect: 'golem', every: [0.7, 0.85], whileMoving: true },
+    archer:   { effect: 'skeleton', every: [2, 4] },
+    shieldbearer: { effect: 'armor', every: [0.6, 0.75], whileMoving: true },
+    bomber:   { effect: 'bomber', every: [1.5, 3] },
+    necromancer: { effect: 'necromancer', every: [4, 7] },
+    boss:     { effect: 'boss', every: [4, 7] }
+};
+
+const HEARING_RANGE = 24;          // world units; enemies farther away are not heard
+const MUFFLED_CUTOFF = 500;        // Hz; a wall or closed door between takes the highs off
+const MUFFLED_GAIN = 0.6;
+const LISTENER_HEIGHT = 1.5;       // the camera's height
+
+class SoundSystem {
+    constructor() {
+        this.context = null;
+        this.master = null;
+        this.noise = null;         // a second of white noise shared by every 'noise' voice
+        this.volume = 1;
+        this.calls = new WeakMap();   // enemy -> { due, x, z } for its next call
+    }
+
+    // Create or resume the audio context; call from a user gesture
+    unlock() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+        if (!this.context) {
+            this.context = new AudioContextClass();
+            this.master = this.context.createGain();
+            this.master.gain.value = this.volume;
+            this.master.connect(this.context.destination);
+            const { sampleRate } = this.context;
+            this.noise = this.context.createBuffer(1, sampleRate, sampleRate);
+            const data = this.noise.getChannelData(0);
+            for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+        }
+        if (this.context.state === 'suspended') this.context.resume();
+    }
+
+    get running() {
+        return !!this.context && this.context.state === 'running' && this.volume > 0;
+    }
+
+    // 0-1, applied to everything including sounds already playing
+    setVolume(volume) {
+        this.volume = volume;
+        if (this.master) this.master.gain.value = volume;
+    }
+
+    // Play an effect from SOUND_EFFECTS. at: { x, z } places it in the dungeon;
+    // muffled: something stands between it and the listener; pitch scales every frequency.
+    play(name, { at = null, muffled = false, pitch = 1 } = {}) {
+        const voices = SOUND_EFFECTS[name];
+        if (!voices || !this.running) return;
+        const ctx = this.context;
+        let output = this.master;
+        if (at) {
+            const panner = ctx.createPanner();
+            panner.panningModel = 'HRTF';
+            panner.distanceModel = 'inverse';
+            panner.refDistance = 3;
+            panner.rolloffFactor = 1.2;
+            panner.maxDistance = HEARING_RANGE;
+            setPosition(panner, at.x, LISTENER_HEIGHT, at.z);
+            panner.connect(output);
+            output = panner;
+            if (muffled) {
+                const filter = ctx.createBiquadFilter();
+                filter.type = 'lowpass';
+                filter.frequency.value = MUFFLED_CUTOFF;
+                const gain = ctx.createGain();
+                gain.gain.value = MUFFLED_GAIN;
+                filter.connect(gain).connect(output);
+                output = filter;
+            }
+        }
+        const start = ctx.currentTime;
+        for (const voice of voices) this.playVoice(voice, output, start + (voice.delay || 0), pitch);
+    }
+
+    playVoice(voice, output, start, pitch) {
+        const ctx = this.context;
+        const end = start + voice.duration;
+        let source;
+        if (voice.wave === 'noise') {
+            source = ctx.createBufferSource();
+            source.buffer = this.noise;
+            source.loop = true;
+        } else {
+            source = ctx.createOscillator();
+            source.type = voice.wave;
+            source.frequency.setValueAtTime(voice.freq[0] * pitch, start);
+            source.frequency.exponentialRampToValueAtTime(voice.freq[1] * pitch, end);
+        }
+
+        const gain = ctx.createGain();
+        gain.gain.setValueAtTime(0.0001, start);
+        gain.gain.linearRampToValueAtTime(voice.gain, start + 0.005);
+        gain.gain.exponentialRampToValueAtTime(0.0001, end);
+        gain.connect(output);
+
+        if (voice.filter) {
+            const [type, from, to, q = 1] = voice.filter;
+            const filter = ctx.createBiquadFilter();
+            filter.type = type;
+            filter.Q.value = q;
+            filter.frequency.setValueAtTime(from * pitch, start);
+            filter.frequency.exponentialRampToValueAtTime(to * pitch, end);
+            source.connect(filter).connect(gain);
+        } else {
+            source.connect(gain);
+        }
+        source.start(start);
+        source.stop(end + 0.05);
+    }
+
+    // The player's ears: position and facing (angle as in game-core.js)
+    setListener(x, z, angle) {
+        if (!this.context) return;
+        const { listener } = this.context;
+        setPosition(listener, x, LISTENER_HEIGHT, z);
+        const fx = Math.sin(angle), fz = Math.cos(angle);
+        if (listener.forwardX) {
+            listener.forwardX.value = fx;
+            listener.forwardY.value = 0;
+            listener.forwardZ.value = fz;
+            listener.upX.value = 0;
+            listener.upY.value = 1;
+            listener.upZ.value = 0;
+        } else {
+            listener.setOrientation(fx, 0, fz, 0, 1, 0);
+        }
+    }
+
+    // Calls from the enemies and the awakened boss in earshot, timed on the game clock so
+    // they stop while the game is paused
+    updateEnemies(core) {
+        if (!this.running) return;
+        for (const enemy of core.enemies) this.enemyCall(core, enemy, ENEMY_SOUNDS[enemy.type]);
+        if (core.boss && core.boss.active) this.enemyCall(core, core.boss, ENEMY_SOUNDS.boss);
+    }
+
+    enemyCall(core, enemy, sound) {
+        if (!sound) return;
+        const { player } = core;
+        if (Math.hypot(enemy.x - player.x, enemy.z - player.z) > HEARING_RANGE) return;
+        const [min, max] = sound.every;
+        const call = this.calls.get(enemy);
+        if (!call) {
+            // Spread the first calls out so a room of enemies does not call in unison
+            this.calls.set(enemy, { due: core.time + Math.random() * max * 1000, x: enemy.x, z: enemy.z });
+            return;
+        }
+        if (core.time < call.due) return;
+        const moved = enemy.x !== call.x || enemy.z !== call.z;
+        call.due = core.time + (min + Math.random() * (max - min)) * 1000;
+        call.x = enemy.x;
+        call.z = enemy.z;
+        if (sound.whileMoving && !moved) return;
+        this.play(sound.effect, { at: enemy, muffled: soundBlocked(core, enemy.x, enemy.z) });
+    }
+}
+
+// Whether a wall, void or closed door lies on the straight line from the player to (x, z)
+function soundBlocked(core, x, z) {
+    const { player, map, mapSize, cellSize } = core;
+    const dist = Math.hypot(x - player.x, z - player.z);
+    const steps = Math.ceil(dist / (cellSize / 2));
+    for (let i = 1; i < steps; i++) {
+        const gx = Math.floor((player.x + (x - player.x) * i / steps) / cellSize);
+        const gz = Math.floor((player.z + (z - player.z) * i / steps) / cellSize);
+        if (gx < 0 || gx >= mapSize || gz < 0 || gz >= mapSize) return true;
+        const cell = map[gz][gx];
+        if (cell === 1 || cell === -1) return true;
+        if (cell === 2 && core.doors.some(d => d.gridX === gx && d.gridZ === gz && !d.isOpen)) return true;
+    }
+    return false;
+}
+
+// PannerNode and AudioListener positions (older browsers only have setPosition)
+function setPosition(node, x, y, z) {
+    if (node.positionX) {
+        node.positionX.value = x;
+        node.positionY.value = y;
+        node.positionZ.value = z;
+    } else {
+        node.setPosition(x, y, z);
+    }
+}
@@ -27,7 +27,10 @@ function parseArgs() {
         screenshotInterval: 5000,
         verbose: false,
         record: false,
-        recordPath: null
+        recordPath: null,
+        seed: null,
+        startFloor: 1,
+        level: null
     };
     args.forEach(arg => {
         if (arg === '--gui')                options.headless = false;
@@ -38,6 +41,9 @@ function parseArgs() {
         else if (arg.startsWith('--time='))    options.maxTime = (parseInt(arg.split('=')[1]) || 300) * 1000;
         else if (arg.startsWith('--screenshot=')) options.screenshotInterval = parseInt(arg.split('=')[1]) * 1000 || 5000;
         else if (arg.startsWith('--record='))  { options.record = true; options.recordPath = arg.split('=')[1]; }
+        else if (arg.startsWith('--seed='))    options.seed = arg.split('=')[1] || null;
+        else if (arg.startsWith('--depth='))   options.startFloor = parseInt(arg.split('=')[1]) || 1;
+        else if (arg.startsWith('--level='))   options.level = arg.split('=')[1] || null;
     });
     return options;
 }
@@ -208,7 +214,7 @@ const DEBUG_HUD_INJECT = `
 /* ================================================================== */
 
 async function runTest(options) {
-    const { maxFloors, maxTime, headless, screenshotInterval, verbose, record, recordPath } = options;
+    const { maxFloors, maxTime, headless, screenshotInterval, verbose, record, recordPath, seed, startFloor, level } = options;
 
     const sep = '='.repeat(60);
     console.log(sep);
@@ -217,6 +223,8 @@ async function runTest(options) {
     console.log(`  Mode        : ${headless ? 'Headless' : 'GUI (human input blocked)'}`);
     console.log(`  Max Floors  : ${maxFloors}`);
     console.log(`  Max Time    : ${maxTime / 1000}s`);
+    if (seed !== null) console.log(`  Seed        : ${seed} (depth ${startFloor})`);
+    if (level) console.log(`  Level       : ${level}`);
     console.log(sep);
 
     /* ---- launch browser ---- */
@@ -238,77 +246,14 @@ async function runTest(options) {
     // 2. Disable pointer lock to prevent focus stealing
     await page.evaluate(() => { window._autoTestMode = true; });
 
-    // 3. Override the game API (the one in index.html may have been set before
-    //    the input blocker — re-inject to be safe)
+    // 3. Re-wrap the game API (the one in index.html may have been set before
+    //    the input blocker). getState is kept from the page so every state field
+    //    the game exposes (seed included) reaches the bot.
     await page.evaluate(() => {
+        const pageAPI = window.gameAPI;
         window.gameAPI = {
-            getState: () => ({
-                game: {
-                    floor: game.floor, hp: game.hp, maxHp: game.maxHp,
-                    mp: game.mp, maxMp: game.maxMp, atk: game.atk,
-                    items: [...game.items], hasBossKey: game.hasBossKey,
-                    totalKills: game.totalKills, isPlaying: game.isPlaying,
-                    bossActive: game.bossActive,
-                    comboCount: game.comboCount,
-                    shrineUsed: game.shrineUsed,
-                    shrineBuff: game.shrineBuff,
-                    shieldBuff: game.shieldBuff,
-                    torchActive
-                },
-                playerPos: { x: playerPos.x, z: playerPos.z },
-                playerAngle,
-                enemies: enemies.filter(e => {
-                    const gx = Math.floor(e.mesh.position.x / cellSize);
-                    const gz = Math.floor(e.mesh.position.z / cellSize);
-                    return mapRevealed[gz] && mapRevealed[gz][gx];
-                }).map(e => ({
-                    x: e.mesh.position.x, z: e.mesh.position.z,
-                    hp: e.hp, maxHp: e.maxHp,
-                    type: e.type || 'skeleton'
-                })),
-                boss: (boss && (() => {
-                    const gx = Math.floor(boss.mesh.position.x / cellSize);
-                    const gz = Math.floor(boss.mesh.position.z / cellSize);
-                    if (!mapRevealed[gz] || !mapRevealed[gz][gx]) return null;
-                    return {
-                        x: boss.mesh.position.x, z: boss.mesh.position.z,
-                        hp: boss.hp, maxHp: boss.maxHp, active: boss.active,
-                        type: boss.type || 'guardian',
-                        telegraphing: boss.telegraphing || false,
-                        telegraphProgress: boss.telegraphing
-                            ? Math.min(1, (Date.now() - boss.telegraphStart) / boss.telegraphTime)
-                            : 0,
-                        stunned: boss.stunned || false,
-                        enraged: boss.enraged || false,
-                        rotationY: boss.mesh.rotation.y
-                    };
-                })()) || null,
-                items: items.filter(i => {
-                    const gx = Math.floor(i.x / cellSize);
-                    const gz = Math.floor(i.z / cellSize);
-                    return mapRevealed[gz] && mapRevealed[gz][gx];
-                }).map(i => ({ x: i.x, z: i.z, type: i.type })),
-                doors: doors.map(d => ({ x: d.x, z: d.z, isOpen: d.isOpen })),
-                stairs: (stairs && (() => {
-                    const gx = Math.floor(stairs.position.x / cellSize);
-                    const gz = Math.floor(stairs.position.z / cellSize);
-                    if (!mapRevealed[gz] || !mapRevealed[gz][gx]) return null;
-                    return { x: stairs.position.x, z: stairs.position.z };
-                })()) || null,
-                shrine: (shrine && !game.shrineUsed && (() => {
-                    const gx = Math.floor(shrine.position.x / cellSize);
-                    const gz = Math.floor(shrine.position.z / cellSize);
-                    if (!mapRevealed[gz] || !mapRevealed[gz][gx]) return null;
-                    return { x: shrine.position.x, z: shrine.position.z };
-                })()) || null,
-                map, mapSize, cellSize
-            }),
-            pressKey: (k)   => { keys[k] = true; setTimeout(() => keys[k] = false, 100); },
-            doAttack:  ()   => { if (typeof attack   === 'function') attack(); },
-            doInteract:()   => { if (typeof interact === 'function') interact(); },
-            setAngle:  (a)  => { playerAngle = a; },
-            start:     ()   => { if (typeof startGame === 'function') startGame(); },
-            useItem:   (s)  => { if (typeof useItem  === 'function') useItem(s - 1); }
+            ...pageAPI,
+            pressKey: (k) => { keys[k] = true; setTimeout(() => keys[k] = false, 100); }
         };
     });
 
@@ -323,8 +268,15 @@ async function runTest(options) {
         console.log(`[rec] Recording to: ${videoFile}`);
     }
 
-    // Start
-    await page.evaluate(() => window.gameAPI.start());
+    // Authored level / pack: read here, since pages opened from file:// cannot fetch it themselves
+    if (level) {
+        const levelText = fs.readFileSync(path.resolve(level), 'utf8');
+        const loaded = await page.evaluate((text) => window.gameAPI.loadLevel(text), levelText);
+        console.log(`[init] Level "${loaded.name}" loaded (${loaded.floors} floor(s)).`);
+    }
+
+    // Start (the first run uses --seed / --depth when given, restarts get fresh seeds)
+    await page.evaluate(({ seed, startFloor }) => window.gameAPI.start(seed, startFloor), { seed, startFloor });
     await sleep(500);
 
     /* ---- prepare ---- */
@@ -333,16 +285,20 @@ async function runTest(options) {
     const reporter   = new Reporter(path.resolve(__dirname, '..', 'test-results'));
 
     const results = {
+        seed: null, seeds: [],
         startTime: Date.now(), endTime: null,
         floors: [], bugs: [], deaths: 0,
         screenshots: [], actions: 0, stats: {}
     };
 
     let lastScreenshot = 0;
-    let lastFloor      = 1;
+    let lastFloor      = startFloor;
+    let runSeed        = null;
     let floorStartTime = Date.now();
     let floorKills     = 0;
     let floorItemsUsed = 0;
+    let floorRoomThemes = new Set();
+    let floorDistances = null;   // pacing of the current floor, in walking steps from its spawn
     const t0 = Date.now();
 
     console.log('[loop] Auto-play started');
@@ -353,17 +309,31 @@ async function runTest(options) {
             const state = await page.evaluate(() => window.gameAPI.getState());
             const elapsed = Date.now() - t0;
 
+            /* -- new run: remember its seed so any failure can be replayed -- */
+            if (state.game.seed !== runSeed) {
+                runSeed = state.game.seed;
+                results.seeds.push(runSeed);
+                if (results.seed === null) results.seed = runSeed;
+                console.log(`[${sec(elapsed)}] RUN seed=${runSeed}`);
+            }
+
+            (state.rooms || []).forEach(r => { if (r.theme) floorRoomThemes.add(r.theme); });
+            if (state.game.floor === lastFloor) floorDistances = state.game.distances || null;
+
             /* -- game over -- */
             if (state.game.hp <= 0) {
                 results.deaths++;
-                console.log(`[${sec(elapsed)}] DEATH #${results.deaths}  floor=${state.game.floor}`);
+                console.log(`[${sec(elapsed)}] DEATH #${results.deaths}  floor=${state.game.floor}  seed=${runSeed}`);
                 const ss = await page.screenshot({ encoding: 'base64' });
-                results.screenshots.push({ time: elapsed, floor: state.game.floor, image: ss, event: 'death' });
+                // The inputs that led here, saved by the reporter next to the screenshot
+                const replay = await page.evaluate(() => window.gameAPI.getReplay());
+                results.screenshots.push({ time: elapsed, floor: state.game.floor, seed: runSeed, image: ss, event: 'death', replay });
                 await page.evaluate(() => window.gameAPI.start());
                 await sleep(500);
                 bot.resetNavigation();
                 bot.lastFloor = 1;
                 floorStartTime = Date.now();
+                floorRoomThemes = new Set();
                 lastFloor = 1;
                 continue;
             }
@@ -373,17 +343,19 @@ async function runTest(options) {
                 const clearTime = Date.now() - floorStartTime;
                 const hpPct = Math.round((state.game.hp / state.game.maxHp) * 100);
                 results.floors.push({
-                    floor: lastFloor, clearTime,
+                    floor: lastFloor, seed: runSeed, clearTime,
                     enemiesKilled: floorKills, itemsUsed: floorItemsUsed,
-                    hpRemaining: hpPct
+                    hpRemaining: hpPct, roomThemes: [...floorRoomThemes],
+                    distances: floorDistances
                 });
                 console.log(`[${sec(elapsed)}] FLOOR ${lastFloor} CLEARED  time=${(clearTime/1000).toFixed(1)}s  hp=${hpPct}%`);
                 const ss = await page.screenshot({ encoding: 'base64' });
-                results.screenshots.push({ time: elapsed, floor: lastFloor, image: ss, event: 'floor_clear' });
+                results.screenshots.push({ time: elapsed, floor: lastFloor, seed: runSeed, image: ss, event: 'floor_clear' });
                 lastFloor = state.game.floor;
                 floorStartTime = Date.now();
                 floorKills = 0;
                 floorItemsUsed = 0;
+                floorRoomThemes = new Set();
             }
 
             /* -- victory check -- */
@@ -395,7 +367,7 @@ async function runTest(options) {
             /* -- periodic screenshot -- */
             if (Date.now() - lastScreenshot > screenshotInterval) {
                 const ss = await page.screenshot({ encoding: 'base64' });
-                results.screenshots.push({ time: elapsed, floor: state.game.floor, image: ss, event: 'periodic' });
+                results.screenshots.push({ time: elapsed, floor: state.game.floor, seed: runSeed, image: ss, event: 'periodic' });
                 lastScreenshot = Date.now();
             }
 
@@ -532,6 +504,7 @@ async function runTest(options) {
     console.log(sep);
     console.log(`  Duration     : ${(totalTime/1000).toFixed(1)}s`);
     console.log(`  Floors       : ${lastFloor}`);
+    console.log(`  Seeds        : ${results.seeds.join(', ')}`);
     console.log(`  Deaths       : ${results.deaths}`);
     console.log(`  Bugs         : ${results.bugs.length}`);
     console.log(`  Actions      : ${results.actions}`);
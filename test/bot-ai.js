@@ -7,6 +7,7 @@
  *   ascend     - Find stairs and move to next floor
  *   explore    - DFS exploration to discover map when target is unknown
  *   pickup_item - Collect a visible item
+ *   open_doors - Collect colored door keys and pull levers
  */
 
 const Pathfinder = require('./pathfinder');
@@ -46,7 +47,12 @@ class BotAI {
             this.resetNavigation();
         }
 
-        this.pathfinder = new Pathfinder(state.map, state.cellSize);
+        // One pathfinder per dungeon (resetNavigation drops it), kept current as the floor
+        // changes: secret walls open, the torch reveals traps and keys unlock doors
+        if (!this.pathfinder) this.pathfinder = new Pathfinder(state.map, state.cellSize);
+        this.pathfinder.setMap(state.map);
+        this.pathfinder.setHazards(state.traps);
+        this.pathfinder.setSealedDoors(state.doors, state.game.doorKeys);
 
         const g = this.pathfinder.worldToGrid(state.playerPos.x, state.playerPos.z);
         this.visitedCells.add(`${g.x},${g.z}`);
@@ -80,6 +86,7 @@ class BotAI {
     /* ------------------------------------------------------------------ */
 
     resetNavigation() {
+        this.pathfinder = null;   // a new dungeon: its map and traps replace the last one's
         this.clearPath();
         this.visitedCells.clear();
         this.blacklistedTargets.clear();
@@ -211,6 +218,35 @@ class BotAI {
             }
         }
 
+        // === DOOR KEYS & LEVERS (they unseal the rest of the floor) ===
+        const notBlacklisted = t => {
+            const g = this.pathfinder.worldToGrid(t.x, t.z);
+            return !this.blacklistedTargets.has(`${g.x},${g.z}`);
+        };
+        const lever = (this.state.levers || []).find(l => !l.pulled && notBlacklisted(l));
+        if (lever) {
+            this.phase = 'open_doors';
+            if (this.distanceTo(lever.x, lever.z) < 1.5) {
+                this.debugInfo.reason = 'pull lever';
+                this.actionCooldown = 5;
+                return { action: 'interact' };
+            }
+            const result = this.tryMoveToward(lever.x, lever.z);
+            if (result) {
+                this.debugInfo.reason = 'move to lever';
+                return result;
+            }
+        }
+        const doorKey = items.find(i => i.type === 'doorKey' && notBlacklisted(i));
+        if (doorKey) {
+            const result = this.tryMoveToward(doorKey.x, doorKey.z);
+            if (result) {
+                this.phase = 'open_doors';
+                this.debugInfo.reason = `move to ${doorKey.color} key`;
+                return result;
+            }
+        }
+
         // === PHASE: GET KEY ===
         if (!game.hasBossKey) {
             this.phase = 'get_key';
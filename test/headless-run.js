@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Headless Run - BotAI playing the game core directly in Node
+ *
+ * Steps GameCore (game-core.js) tick by tick without a browser or renderer
+ * and lets BotAI drive it through the same getState() snapshots and
+ * actions auto-player.js uses. Each run starts a fresh game and plays
+ * until the bot dies, clears the requested number of floors or runs out
+ * of ticks. Reports floors cleared, deaths and simulated floors per
+ * minute of wall-clock time.
+ *
+ * Run: node test/headless-run.js [--runs=20] [--floors=3] [--seed=X]
+ *                                [--depth=1] [--ticks=40000]
+ *                                [--out=test-results/headless-run.json]
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { parseSeed } = require('../map-generator');
+const { GameCore, SIM_STEP } = require('../game-core');
+const BotAI = require('./bot-ai');
+
+// The bot picks an action every few ticks, about as often as it does in the browser
+const DECISION_TICKS = 4;
+
+/* ================================================================== */
+/*  CLI argument parsing                                              */
+/* ================================================================== */
+
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {
+        runs: 20,
+        floors: 3,
+        seed: 1,
+        depth: 1,
+        ticks: 40000,
+        out: path.resolve(__dirname, '..', 'test-results', 'headless-run.json')
+    };
+    args.forEach(arg => {
+        if (arg.startsWith('--runs='))        options.runs = parseInt(arg.split('=')[1]) || 20;
+        else if (arg.startsWith('--floors=')) options.floors = parseInt(arg.split('=')[1]) || 3;
+        else if (arg.startsWith('--seed='))   options.seed = parseSeed(arg.split('=')[1]) ?? 1;
+        else if (arg.startsWith('--depth='))  options.depth = Math.max(1, parseInt(arg.split('=')[1]) || 1);
+        else if (arg.startsWith('--ticks='))  options.ticks = parseInt(arg.split('=')[1]) || 40000;
+        else if (arg.startsWith('--out='))    options.out = path.resolve(arg.split('=')[1]);
+    });
+    return options;
+}
+
+/* ================================================================== */
+/*  One game                                                          */
+/* ================================================================== */
+
+/**
+ * Apply a BotAI action to the core. Movement keys stay held until the
+ * next decision, like the key presses auto-player.js sends the page.
+ */
+function applyAction(core, keys, action) {
+    switch (action.action) {
+        case 'move':
+        case 'turn_and_move':
+            if (action.angle !== undefined) core.setAngle(action.angle);
+            (action.keys || []).forEach(k => keys[k] = true);
+            break;
+        case 'turn':
+            core.setAngle(action.angle);
+            break;
+        case 'attack':
+            core.attack();
+            break;
+        case 'interact':
+            core.interact();
+            break;
+        case 'use_item':
+            core.useItem(action.itemIndex - 1);
+            break;
+    }
+}
+
+function playRun(seed, options) {
+    const core = new GameCore();
+    const bot = new BotAI();
+    const keys = {};
+    core.start(seed, options.depth);
+
+    const goal = options.depth + options.floors;
+    let ticks = 0;
+    while (ticks < options.ticks && core.game.isPlaying && core.game.floor < goal) {
+        if (ticks % DECISION_TICKS === 0) {
+            Object.keys(keys).forEach(k => keys[k] = false);
+            const action = bot.update(core.getState());
+            if (action) applyAction(core, keys, action);
+        }
+        core.step(SIM_STEP, keys);
+        ticks++;
+    }
+
+    const { game } = core;
+    return {
+        seed,
+        floorsCleared: game.floor - options.depth,
+        reachedDepth: game.floor,
+        died: !game.isPlaying,
+        timedOut: game.isPlaying && game.floor < goal,
+        kills: game.totalKills,
+        ticks,
+        simSeconds: Math.round(ticks * SIM_STEP)
+    };
+}
+
+/* ================================================================== */
+/*  Output                                                            */
+/* ================================================================== */
+
+function printTable(results) {
+    const columns = [
+        ['seed', 12, r => r.seed],
+        ['cleared', 8, r => r.floorsCleared],
+        ['depth', 6, r => r.reachedDepth],
+        ['result', 8, r => r.died ? 'died' : r.timedOut ? 'timeout' : 'goal'],
+        ['kills', 6, r => r.kills],
+        ['sim s', 7, r => r.simSeconds]
+    ];
+    const line = cells => cells.map((c, i) => String(c).padStart(columns[i][1])).join(' ');
+    console.log(line(columns.map(c => c[0])));
+    console.log('-'.repeat(columns.reduce((w, c) => w + c[1] + 1, -1)));
+    for (const r of results) console.log(line(columns.map(c => c[2](r))));
+}
+
+function main() {
+    const options = parseArgs();
+
+    const started = Date.now();
+    const results = [];
+    for (let i = 0; i < options.runs; i++) results.push(playRun((options.seed + i) >>> 0, options));
+    const durationMs = Date.now() - started;
+
+    const floorsCleared = results.reduce((sum, r) => sum + r.floorsCleared, 0);
+    const report = {
+        generatedAt: new Date().toISOString(),
+        seed: options.seed,
+        startDepth: options.depth,
+        floorsPerRun: options.floors,
+        durationMs,
+        floorsCleared,
+        deaths: results.filter(r => r.died).length,
+        timeouts: results.filter(r => r.timedOut).length,
+        floorsPerMinute: Math.round(floorsCleared / (durationMs / 60000)),
+        results
+    };
+    fs.mkdirSync(path.dirname(options.out), { recursive: true });
+    fs.writeFileSync(options.out, JSON.stringify(report, null, 2));
+
+    printTable(results);
+    console.log(`\n${floorsCleared} floors cleared in ${(durationMs / 1000).toFixed(1)}s ` +
+        `(${report.floorsPerMinute} floors/min), ${report.deaths} deaths, ${report.timeouts} timeouts. JSON: ${options.out}`);
+}
+
+main();
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+
+/**
+ * Map Metrics - batch quality report for the map generator
+ *
+ * Generates many maps for every shape x depth combination the game can
+ * produce and reports walkable area, room count, dead ends, doors,
+ * start-to-boss path length and how often generate() had to fall back
+ * to force-accepting a map that failed its checks.
+ *
+ * Run: node test/map-metrics.js [--count=1000] [--depths=1-8] [--shapes=blob,L]
+ *                               [--seed=X] [--out=test-results/map-metrics.json]
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { IrregularMapGenerator, createRng, parseSeed, floorSeed } = require('../map-generator');
+
+/* ================================================================== */
+/*  CLI argument parsing                                              */
+/* ================================================================== */
+
+function parseList(value) {
+    // "1-8" or "1,3,5"
+    const range = value.match(/^(\d+)-(\d+)$/);
+    if (range) {
+        const list = [];
+        for (let d = Number(range[1]); d <= Number(range[2]); d++) list.push(d);
+        return list;
+    }
+    return value.split(',').filter(Boolean);
+}
+
+function parseArgs() {
+    const args = process.argv.slice(2);
+    const options = {
+        count: 1000,
+        depths: [1, 2, 3, 4, 5, 6, 7, 8],
+        shapes: null,
+        seed: 1,
+        out: path.resolve(__dirname, '..', 'test-results', 'map-metrics.json')
+    };
+    args.forEach(arg => {
+        if (arg.startsWith('--count='))       options.count = parseInt(arg.split('=')[1]) || 1000;
+        else if (arg.startsWith('--depths=')) options.depths = parseList(arg.split('=')[1]).map(Number).filter(d => d >= 1);
+        else if (arg.startsWith('--shapes=')) options.shapes = parseList(arg.split('=')[1]);
+        else if (arg.startsWith('--seed='))   options.seed = parseSeed(arg.split('=')[1]) ?? 1;
+        else if (arg.startsWith('--out='))    options.out = path.resolve(arg.split('=')[1]);
+    });
+    return options;
+}
+
+/* ================================================================== */
+/*  Per-map measurements                                              */
+/* ================================================================== */
+
+const DIRS = [[0, -1], [0, 1], [-1, 0], [1, 0]];
+
+/**
+ * Player and boss cells picked the way generateDungeon() does: the player
+ * on a random open floor cell, the boss on the room cell with the longest
+ * walk from it, outside the player's room. Room themes are a game concern
+ * and are ignored here. Returns the walking distance between them too.
+ */
+function pickStartAndBoss(generator, result, hidden, rng) {
+    const { map, rooms, traps } = result;
+    const trapCells = new Set(traps.map(t => `${t.x},${t.z}`));
+    const open = [];
+    for (let z = 1; z < map.length - 1; z++)
+        for (let x = 1; x < map.length - 1; x++)
+            if (map[z][x] === 0 && !hidden.has(`${x},${z}`) && !trapCells.has(`${x},${z}`)) open.push({ x, z });
+    if (open.length < 2) return null;
+
+    const roomAt = (x, z) => rooms.find(({ interior: r }) => x >= r.x && x < r.x + r.w && z >= r.z && z < r.z + r.h);
+    const start = open[Math.floor(rng() * open.length)];
+    const startRoom = roomAt(start.x, start.z);
+    const inOtherRoom = open.filter(p => p !== start && roomAt(p.x, p.z) && roomAt(p.x, p.z) !== startRoom);
+    const candidates = inOtherRoom.length > 0 ? inOtherRoom : open.filter(p => p !== start);
+
+    const dist = generator.distancesFrom(map, start, hidden);
+    const steps = p => dist.get(`${p.x},${p.z}`) ?? -1;
+    const boss = candidates.reduce((best, p) => steps(p) > steps(best) ? p : best, candidates[0]);
+    return { start, boss, steps: steps(boss) };
+}
+
+function measure(generator, result, rng) {
+    const { map } = result;
+    const hidden = generator.hiddenCells(result.secrets);
+    const walkable = (x, z) => (map[z]?.[x] === 0 || map[z]?.[x] === 2) && !hidden.has(`${x},${z}`);
+
+    let area = 0, deadEnds = 0, doors = 0;
+    for (let z = 0; z < map.length; z++)
+        for (let x = 0; x < map.length; x++) {
+            if (map[z][x] === 2) doors++;
+            if (!walkable(x, z)) continue;
+            area++;
+            if (DIRS.filter(([dx, dz]) => walkable(x + dx, z + dz)).length === 1) deadEnds++;
+        }
+
+    // null when the boss cannot be reached (only possible on force-accepted maps)
+    const spawns = pickStartAndBoss(generator, result, hidden, rng);
+    const pathLength = spawns && spawns.steps >= 0 ? spawns.steps : null;
+
+    return { walkable: area, rooms: result.rooms.length, deadEnds, doors, pathLength, forced: result.forced };
+}
+
+/* ================================================================== */
+/*  Aggregation                                                       */
+/* ================================================================== */
+
+function summarize(values) {
+    const list = values.filter(v => v !== null).sort((a, b) => a - b);
+    if (list.length === 0) return { mean: null, min: null, p50: null, max: null };
+    const mean = list.reduce((sum, v) => sum + v, 0) / list.length;
+    return {
+        mean: Math.round(mean * 10) / 10,
+        min: list[0],
+        p50: list[Math.floor(list.length / 2)],
+        max: list[list.length - 1]
+    };
+}
+
+function runCombination(shape, depth, options) {
+    const samples = [];
+    for (let i = 0; i < options.count; i++) {
+        // Same seeds for every shape, so shapes are compared on equal footing
+        const rng = createRng(floorSeed((options.seed + i) >>> 0, depth));
+        const generator = new IrregularMapGenerator(36, rng);
+        samples.push(measure(generator, generator.generate(depth, shape), rng));
+    }
+    const forced = samples.filter(s => s.forced).length;
+    return {
+        shape,
+        depth,
+        maps: samples.length,
+        forceAcceptRate: forced / samples.length,
+        unreachableBoss: samples.filter(s => s.pathLength === null).length,
+        walkable: summarize(samples.map(s => s.walkable)),
+        rooms: summarize(samples.map(s => s.rooms)),
+        deadEnds: summarize(samples.map(s => s.deadEnds)),
+        doors: summarize(samples.map(s => s.doors)),
+        pathLength: summarize(samples.map(s => s.pathLength))
+    };
+}
+
+/* ================================================================== */
+/*  Output                                                            */
+/* ================================================================== */
+
+function printTable(results) {
+    const mean = stat => stat.mean === null ? '-' : stat.mean.toFixed(1);
+    const columns = [
+        ['shape', 12, r => r.shape],
+        ['depth', 6, r => r.depth],
+        ['maps', 6, r => r.maps],
+        ['walkable', 9, r => mean(r.walkable)],
+        ['rooms', 6, r => mean(r.rooms)],
+        ['deadEnds', 9, r => mean(r.deadEnds)],
+        ['doors', 6, r => mean(r.doors)],
+        ['path p50', 9, r => r.pathLength.p50 ?? '-'],
+        ['path max', 9, r => r.pathLength.max ?? '-'],
+        ['forced%', 8, r => (r.forceAcceptRate * 100).toFixed(1)]
+    ];
+    const line = cells => cells.map((c, i) => String(c).padStart(columns[i][1])).join(' ');
+    console.log(line(columns.map(c => c[0])));
+    console.log('-'.repeat(columns.reduce((w, c) => w + c[1] + 1, -1)));
+    for (const r of results) console.log(line(columns.map(c => c[2](r))));
+}
+
+function main() {
+    const options = parseArgs();
+    const shapes = options.shapes || Object.keys(IrregularMapGenerator.shapes);
+    const unknown = shapes.filter(s => !IrregularMapGenerator.shapes[s]);
+    if (unknown.length > 0) {
+        console.error(`Unknown shape(s): ${unknown.join(', ')}`);
+        process.exit(1);
+    }
+
+    const started = Date.now();
+    const results = [];
+    for (const shape of shapes) {
+        // Only the depths the game can actually pick this shape at, unless it was asked for by name
+        const { minDepth, maxDepth } = IrregularMapGenerator.shapes[shape];
+        const depths = options.shapes ? options.depths : options.depths.filter(d => d >= minDepth && d <= maxDepth);
+        for (const depth of depths) results.push(runCombination(shape, depth, options));
+    }
+
+    const report = {
+        generatedAt: new Date().toISOString(),
+        seed: options.seed,
+        mapsPerCombination: options.count,
+        durationMs: Date.now() - started,
+        results
+    };
+    fs.mkdirSync(path.dirname(options.out), { recursive: true });
+    fs.writeFileSync(options.out, JSON.stringify(report, null, 2));
+
+    printTable(results);
+    console.log(`\n${results.length * options.count} maps in ${(report.durationMs / 1000).toFixed(1)}s. JSON: ${options.out}`);
+}
+
+main();
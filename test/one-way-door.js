@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * One-Way Door - checks that a one-way door lets the player through once
+ *
+ * Builds a two-room level joined by a one-way door, walks the player
+ * through it the right way, then tries to step straight back while the
+ * door is still open behind them, and once more after it has swung shut.
+ * Exits with code 1 if the player gets back through.
+ *
+ * Run: node test/one-way-door.js
+ */
+
+const { GameCore, SIM_STEP, CELL_SIZE, parseLevelPack } = require('../game-core');
+
+// Two rooms with a door at (4,4) in the wall between them; it opens left to right
+const LEVEL = {
+    version: 1,
+    name: 'One-way door',
+    grid: [
+        [1, 1, 1, 1, 1, 1, 1, 1, 1],
+        [1, 0, 0, 0, 1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 2, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1, 0, 0, 0, 1],
+        [1, 0, 0, 0, 1, 0, 0, 0, 1],
+        [1, 1, 1, 1, 1, 1, 1, 1, 1]
+    ],
+    spawns: {
+        player: { x: 2, z: 4 },
+        boss: { x: 7, z: 7 },
+        key: { x: 7, z: 1 }
+    }
+};
+const DOOR = { gridX: 4, gridZ: 4, dir: { dx: 1, dz: 0 } };
+const EAST = Math.PI / 2;    // angles follow Math.atan2(dx, dz)
+const WEST = -Math.PI / 2;
+
+// Hold W facing `angle` for `ms` of game time, or until `until` returns true
+function walk(core, angle, ms, until = () => false) {
+    core.setAngle(angle);
+    for (let t = 0; t < ms && !until(); t += SIM_STEP * 1000) core.step(SIM_STEP, { w: true });
+}
+
+function main() {
+    const core = new GameCore();
+    core.levelPack = parseLevelPack(LEVEL);
+    core.start(1, 1);
+    const door = core.doors.find(d => d.gridX === DOOR.gridX && d.gridZ === DOOR.gridZ);
+    door.kind = 'oneWay';
+    door.dir = DOOR.dir;
+
+    const doorEdge = (DOOR.gridX + 1) * CELL_SIZE;   // where the door's cell ends on the far side
+    const failures = [];
+    const check = (ok, text) => {
+        console.log(`${ok ? 'ok  ' : 'FAIL'} ${text}`);
+        if (!ok) failures.push(text);
+    };
+
+    // Stop just past the door's cell, well inside the 2.5 units it stays open for
+    walk(core, EAST, 3000, () => core.player.x > doorEdge + 0.2);
+    check(core.player.x > doorEdge, `walks through the right way (x ${core.player.x.toFixed(2)})`);
+    check(door.isOpen, 'door is still open behind the player');
+
+    walk(core, WEST, 1500);
+    check(core.player.x > doorEdge, `cannot step back while it is open (x ${core.player.x.toFixed(2)})`);
+
+    walk(core, EAST, 1000);
+    check(!door.isOpen, 'door shuts once the player moves on');
+    walk(core, WEST, 3000);
+    check(core.player.x > doorEdge, `cannot step back after it shuts (x ${core.player.x.toFixed(2)})`);
+
+    if (failures.length > 0) process.exit(1);
+}
+
+main();
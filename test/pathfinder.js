@@ -26,6 +26,35 @@ class Pathfinder {
         this.map = map;
         this.cellSize = cellSize;
         this.mapSize = map.length;
+        this.hazards = new Map();
+        this.sealed = new Set();
+    }
+
+    /**
+     * Follow the map as it changes (opened doors and secret walls)
+     */
+    setMap(map) {
+        this.map = map;
+        this.mapSize = map.length;
+    }
+
+    /**
+     * Mark trap cells so paths route around them when a detour exists
+     * (pits far more strongly - they drop the bot to the next depth)
+     */
+    setHazards(traps) {
+        this.hazards = new Map((traps || []).map(t => [`${t.gridX},${t.gridZ}`, t.type === 'pit' ? 50 : 4]));
+    }
+
+    /**
+     * Treat closed doors the bot cannot open yet as walls: locked doors without
+     * the matching key, portcullises, and one-way doors (never the only route)
+     */
+    setSealedDoors(doors, doorKeys) {
+        this.sealed = new Set((doors || []).filter(d => {
+            if (d.isOpen || !d.kind || d.kind === 'normal') return false;
+            return !(d.kind === 'locked' && (doorKeys || []).includes(d.color));
+        }).map(d => `${d.gridX},${d.gridZ}`));
     }
 
     /**
@@ -50,14 +79,15 @@ class Pathfinder {
 
     /**
      * Check if a grid cell is walkable
-     * 0 = floor (walkable), 1 = wall (blocked), 2 = door (walkable)
+     * 0 = floor (walkable), 1 = wall (blocked), 2 = door (walkable unless sealed)
      */
     isWalkable(gx, gz) {
         if (gx < 0 || gx >= this.mapSize || gz < 0 || gz >= this.mapSize) {
             return false;
         }
         const cell = this.map[gz][gx];
-        return cell === 0 || cell === 2; // floor or door
+        if (cell === 2) return !this.sealed.has(`${gx},${gz}`);
+        return cell === 0; // floor
     }
 
     /**
@@ -165,8 +195,9 @@ class Pathfinder {
 
             for (const next of this.getNeighbors(current.x, current.z)) {
                 const wallPenalty = this.countAdjacentWalls(next.x, next.z) * 0.3;
-                const newCost = costSoFar.get(key(current.x, current.z)) + 1 + wallPenalty;
                 const nextKey = key(next.x, next.z);
+                const hazardPenalty = this.hazards.get(nextKey) || 0;
+                const newCost = costSoFar.get(key(current.x, current.z)) + 1 + wallPenalty + hazardPenalty;
 
                 if (!costSoFar.has(nextKey) || newCost < costSoFar.get(nextKey)) {
                     costSoFar.set(nextKey, newCost);
@@ -38,14 +38,21 @@ class Reporter {
         const duration = endTime - startTime;
         const durationStr = this.formatDuration(duration);
 
-        // Save screenshots as files
+        // Save screenshots as files, with the replay of the run beside a death screenshot
         const savedScreenshots = screenshots.map((ss, i) => {
             const filename = `screenshot_${i}_floor${ss.floor}_${ss.time}ms.png`;
             const filepath = path.join(this.screenshotsDir, filename);
             fs.writeFileSync(filepath, Buffer.from(ss.image, 'base64'));
+            let replayFile;
+            if (ss.replay) {
+                replayFile = filename.replace(/\.png$/, '.replay.json');
+                fs.writeFileSync(path.join(this.screenshotsDir, replayFile), JSON.stringify(ss.replay));
+            }
             return {
                 ...ss,
-                filename
+                replay: undefined,
+                filename,
+                replayFile
             };
         });
 
@@ -262,6 +269,10 @@ class Reporter {
         .screenshot-info .floor {
             color: #888;
         }
+        .screenshot-info .replay {
+            color: #66ccff;
+            margin-left: 8px;
+        }
         .no-bugs {
             text-align: center;
             padding: 40px;
@@ -382,6 +393,18 @@ class Reporter {
                                 <div class="label">HP Remaining</div>
                                 <div class="value" style="color: ${floor.hpRemaining > 50 ? '#44ff44' : floor.hpRemaining > 20 ? '#ffaa00' : '#ff4444'}">${floor.hpRemaining}%</div>
                             </div>
+                            <div class="floor-stat">
+                                <div class="label">Themed Rooms</div>
+                                <div class="value">${(floor.roomThemes || []).join(', ') || '-'}</div>
+                            </div>
+                            <div class="floor-stat">
+                                <div class="label">Boss / Key / Torch (steps)</div>
+                                <div class="value">${floor.distances ? [floor.distances.boss, floor.distances.key, floor.distances.torch].map(d => d ?? '-').join(' / ') : '-'}</div>
+                            </div>
+                            <div class="floor-stat">
+                                <div class="label">Seed</div>
+                                <div class="value">${floor.seed ?? '-'}</div>
+                            </div>
                         </div>
                     </div>
                 `).join('')}
@@ -426,7 +449,8 @@ class Reporter {
                         <img src="screenshots/${ss.filename}" alt="Screenshot at ${this.formatDuration(ss.time)}">
                         <div class="screenshot-info">
                             <span class="time">${this.formatDuration(ss.time)}</span>
-                            <span class="floor">Floor ${ss.floor}</span>
+                            <span class="floor">Floor ${ss.floor}${ss.seed != null ? ` · seed ${ss.seed}` : ''}</span>
+                            ${ss.replayFile ? `<a class="replay" href="screenshots/${ss.replayFile}" title="Open with WATCH REPLAY on the title screen, or index.html?replay=test-results/screenshots/${ss.replayFile}">replay</a>` : ''}
                         </div>
                     </div>
                 `).join('')}
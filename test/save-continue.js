@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Save & Continue - checks that a mid-floor save cannot duplicate the floor
+ *
+ * Starts a run, picks up a floor item and takes the shrine blessing, then
+ * saves, continues from the save (through JSON and parseSave, as the
+ * browser does) and checks that the item and the blessing are not had a
+ * second time: continuing rebuilds the floor, so the save has to hold the
+ * run as it entered the floor. Exits with code 1 on any failure.
+ *
+ * Run: node test/save-continue.js [--seed=1]
+ */
+
+const { parseSeed } = require('../map-generator');
+const { GameCore, SIM_STEP, parseSave } = require('../game-core');
+
+// Seeds tried from --seed on until a first floor has both a shrine and a loose item
+const SEED_TRIES = 50;
+
+function parseArgs() {
+    const options = { seed: 1 };
+    for (const arg of process.argv.slice(2)) {
+        const [key, value] = arg.replace(/^--/, '').split('=');
+        if (key === 'seed') options.seed = parseSeed(value) ?? options.seed;
+    }
+    return options;
+}
+
+function findFloor(firstSeed) {
+    for (let seed = firstSeed; seed < firstSeed + SEED_TRIES; seed++) {
+        const core = new GameCore();
+        core.start(seed, 1);
+        const item = core.items.find(i => i.type !== 'key' && i.type !== 'doorKey');
+        if (core.shrine && item) return { core, item };
+    }
+    return null;
+}
+
+// Every copy of an item type the run has, carried or still lying on the floor
+function countItem(core, type) {
+    return core.game.items.filter(t => t === type).length + core.items.filter(i => i.type === type).length;
+}
+
+function main() {
+    const options = parseArgs();
+    const found = findFloor(options.seed);
+    if (!found) {
+        console.error(`No floor with a shrine and an item in seeds ${options.seed}-${options.seed + SEED_TRIES - 1}`);
+        process.exit(1);
+    }
+    const { core, item } = found;
+    const failures = [];
+    const check = (ok, text) => {
+        console.log(`${ok ? 'ok  ' : 'FAIL'} ${text}`);
+        if (!ok) failures.push(text);
+    };
+    console.log(`Seed ${core.game.seed}: ${item.type} and a shrine on depth 1`);
+
+    const before = { count: countItem(core, item.type), atk: core.game.atk, maxHp: core.game.maxHp };
+
+    Object.assign(core.player, { x: item.x, z: item.z });
+    core.step(SIM_STEP);
+    check(!core.items.includes(item), `picks up the ${item.type}`);
+    Object.assign(core.player, { x: core.shrine.x, z: core.shrine.z });
+    core.interact();
+    check(core.game.shrineUsed && core.game.atk === before.atk + 5, 'takes the shrine blessing');
+
+    const save = parseSave(JSON.stringify(core.createSave()));
+    const continued = new GameCore();
+    continued.continueRun(save);
+
+    check(countItem(continued, item.type) === before.count,
+        `the ${item.type} is not back on top of the one picked up (${countItem(continued, item.type)} of ${before.count})`);
+    check(continued.game.atk === before.atk && continued.game.maxHp === before.maxHp,
+        `the blessing is not kept alongside a fresh shrine (ATK ${continued.game.atk}, max HP ${continued.game.maxHp})`);
+
+    if (failures.length > 0) process.exit(1);
+}
+
+main();